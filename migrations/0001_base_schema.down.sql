@@ -0,0 +1,9 @@
+DROP TABLE scan_history;
+DROP TABLE rice_leaf_scan;
+DROP TABLE rice_leaf_disease;
+DROP TABLE local_practice_treatment;
+DROP TABLE rice_plant_medicine;
+DROP TABLE user_notifications;
+DROP TABLE user_profiles;
+DROP TABLE user_credentials;
+DROP TABLE user_addresses;
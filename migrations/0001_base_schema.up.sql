@@ -0,0 +1,95 @@
+-- Tables the server relied on before migrations were tracked in this repo.
+-- Existing databases already have them: record this version with `npm run migrate:baseline -- 0001`.
+
+CREATE TABLE user_addresses (
+    address_id INT IDENTITY(1,1) PRIMARY KEY,
+    region NVARCHAR(100) NULL,
+    province NVARCHAR(100) NULL,
+    city_municipality NVARCHAR(100) NULL,
+    barangay NVARCHAR(100) NULL,
+    street NVARCHAR(255) NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE user_credentials (
+    user_id INT IDENTITY(1,1) PRIMARY KEY,
+    username NVARCHAR(100) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    role_id INT NOT NULL DEFAULT 1,
+    push_token VARCHAR(255) NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updated_at DATETIME2 NULL
+);
+
+CREATE TABLE user_profiles (
+    user_profiles_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    firstname NVARCHAR(100) NULL,
+    lastname NVARCHAR(100) NULL,
+    birthdate DATE NULL,
+    gender NVARCHAR(20) NULL,
+    mobile_number NVARCHAR(20) NULL,
+    address_id INT NULL REFERENCES user_addresses (address_id),
+    email NVARCHAR(255) NOT NULL,
+    profile_image NVARCHAR(500) NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    updated_at DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX ux_user_profiles_email ON user_profiles (email);
+CREATE UNIQUE INDEX ux_user_profiles_user_id ON user_profiles (user_id);
+
+CREATE TABLE user_notifications (
+    notification_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    title NVARCHAR(255) NOT NULL,
+    body NVARCHAR(MAX) NULL,
+    icon NVARCHAR(50) NULL,
+    icon_bg_color NVARCHAR(50) NULL,
+    type NVARCHAR(50) NULL,
+    data NVARCHAR(MAX) NULL,
+    timestamp DATETIME2 NOT NULL DEFAULT GETDATE(),
+    [read] BIT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX ix_user_notifications_user_id ON user_notifications (user_id, timestamp);
+
+CREATE TABLE rice_plant_medicine (
+    medicine_id INT IDENTITY(1,1) PRIMARY KEY,
+    rice_plant_medicine NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL
+);
+
+CREATE TABLE local_practice_treatment (
+    treatment_id INT IDENTITY(1,1) PRIMARY KEY,
+    treatment NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL
+);
+
+-- rice_leaf_disease_id is the class number produced by the classifier, so it is not an identity
+CREATE TABLE rice_leaf_disease (
+    rice_leaf_disease_id INT NOT NULL PRIMARY KEY,
+    rice_leaf_disease NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    medicine_id INT NULL REFERENCES rice_plant_medicine (medicine_id),
+    treatment_id INT NULL REFERENCES local_practice_treatment (treatment_id)
+);
+
+CREATE TABLE rice_leaf_scan (
+    rice_leaf_scan_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    disease_confidence_score FLOAT NOT NULL,
+    scan_image NVARCHAR(500) NOT NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_rice_leaf_scan_user_id ON rice_leaf_scan (user_id, created_at);
+
+CREATE TABLE scan_history (
+    scan_history_id INT IDENTITY(1,1) PRIMARY KEY,
+    rice_leaf_scan_id INT NOT NULL REFERENCES rice_leaf_scan (rice_leaf_scan_id),
+    date_captured DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_scan_history_rice_leaf_scan_id ON scan_history (rice_leaf_scan_id);
@@ -0,0 +1,9 @@
+-- Names for user_credentials.role_id; keep in sync with ROLES in server.js
+CREATE TABLE user_roles (
+    role_id INT NOT NULL PRIMARY KEY,
+    role_name NVARCHAR(50) NOT NULL
+);
+
+INSERT INTO user_roles (role_id, role_name) VALUES (1, 'farmer');
+INSERT INTO user_roles (role_id, role_name) VALUES (2, 'agronomist');
+INSERT INTO user_roles (role_id, role_name) VALUES (3, 'admin');
@@ -0,0 +1,14 @@
+-- Pending signup, password reset and email change codes (hashed)
+CREATE TABLE verification_codes (
+    verification_code_id INT IDENTITY(1,1) PRIMARY KEY,
+    purpose VARCHAR(32) NOT NULL,
+    identifier NVARCHAR(255) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    payload NVARCHAR(MAX) NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    expires_at DATETIME2 NOT NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE UNIQUE INDEX ux_verification_codes_purpose_identifier ON verification_codes (purpose, identifier);
+CREATE INDEX ix_verification_codes_expires_at ON verification_codes (expires_at);
@@ -0,0 +1,2 @@
+ALTER TABLE user_credentials DROP CONSTRAINT df_user_credentials_token_version;
+ALTER TABLE user_credentials DROP COLUMN token_version;
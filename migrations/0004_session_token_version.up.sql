@@ -0,0 +1,2 @@
+-- Bumped to invalidate every token issued to a user
+ALTER TABLE user_credentials ADD token_version INT NOT NULL CONSTRAINT df_user_credentials_token_version DEFAULT 0;
@@ -0,0 +1,9 @@
+DELETE FROM rice_leaf_disease WHERE rice_leaf_disease_id IN (0, 1, 2, 3, 4);
+DELETE FROM rice_plant_medicine WHERE rice_plant_medicine IN ('Copper hydroxide', 'Mancozeb', 'Tricyclazole', 'Imidacloprid');
+DELETE FROM local_practice_treatment WHERE treatment IN (
+    'Drain and balance nitrogen',
+    'Improve soil nutrition',
+    'Split fertilizer and keep fields flooded',
+    'Rogue infected plants',
+    'Continue good field practices'
+);
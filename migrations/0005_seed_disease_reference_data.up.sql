@@ -0,0 +1,43 @@
+-- Reference data behind /disease-info/:classNumber.
+-- rice_leaf_disease_id must match the class numbers produced by the on-device model.
+
+INSERT INTO rice_plant_medicine (rice_plant_medicine, description) VALUES
+    ('Copper hydroxide', 'Copper-based bactericide. Spray at the first sign of bacterial leaf blight lesions and repeat after 7 to 10 days if the disease keeps spreading. Follow the label rate and avoid spraying before rain.');
+INSERT INTO rice_plant_medicine (rice_plant_medicine, description) VALUES
+    ('Mancozeb', 'Protective contact fungicide for brown spot. Apply when spots appear on the leaves during tillering to booting and repeat at 10 to 14 day intervals as needed.');
+INSERT INTO rice_plant_medicine (rice_plant_medicine, description) VALUES
+    ('Tricyclazole', 'Systemic fungicide for rice blast. Apply at the first sign of leaf blast and again at late booting to protect the panicle from neck blast.');
+INSERT INTO rice_plant_medicine (rice_plant_medicine, description) VALUES
+    ('Imidacloprid', 'Systemic insecticide against the green leafhopper that spreads tungro. Apply only when leafhoppers are present; the virus itself cannot be cured.');
+
+INSERT INTO local_practice_treatment (treatment, description) VALUES
+    ('Drain and balance nitrogen', 'Drain the field for a few days, avoid excess nitrogen fertilizer and apply potash. Remove weeds and volunteer rice that can host the bacteria, and plough under infected stubble after harvest.');
+INSERT INTO local_practice_treatment (treatment, description) VALUES
+    ('Improve soil nutrition', 'Brown spot is common in poor or nutrient-deficient soils. Apply balanced fertilizer with potassium and silicon (rice hull ash), keep the field flooded evenly, and use clean, healthy seeds.');
+INSERT INTO local_practice_treatment (treatment, description) VALUES
+    ('Split fertilizer and keep fields flooded', 'Split nitrogen into several smaller applications, keep the field flooded to avoid drought stress, and plant resistant varieties. Burn or bury infected straw after harvest.');
+INSERT INTO local_practice_treatment (treatment, description) VALUES
+    ('Rogue infected plants', 'Pull out and bury infected hills as soon as they are seen, synchronise planting with neighbouring farms, and leave the field fallow for a month between crops to break the leafhopper cycle.');
+INSERT INTO local_practice_treatment (treatment, description) VALUES
+    ('Continue good field practices', 'No treatment needed. Keep monitoring the field, maintain balanced fertilization and water management, and scan again if spots or discoloration appear.');
+
+INSERT INTO rice_leaf_disease (rice_leaf_disease_id, rice_leaf_disease, description, medicine_id, treatment_id) VALUES
+    (0, 'Bacterial Leaf Blight', 'Caused by Xanthomonas oryzae. Leaves show water-soaked streaks from the tip and edges that turn yellow to straw-coloured and wilt. Spreads quickly in wet, windy weather and in fields with too much nitrogen.',
+     (SELECT medicine_id FROM rice_plant_medicine WHERE rice_plant_medicine = 'Copper hydroxide'),
+     (SELECT treatment_id FROM local_practice_treatment WHERE treatment = 'Drain and balance nitrogen'));
+INSERT INTO rice_leaf_disease (rice_leaf_disease_id, rice_leaf_disease, description, medicine_id, treatment_id) VALUES
+    (1, 'Brown Spot', 'Caused by the fungus Bipolaris oryzae. Small oval brown spots with grey centres appear on the leaves and can reduce grain quality. Often a sign of nutrient-poor soil.',
+     (SELECT medicine_id FROM rice_plant_medicine WHERE rice_plant_medicine = 'Mancozeb'),
+     (SELECT treatment_id FROM local_practice_treatment WHERE treatment = 'Improve soil nutrition'));
+INSERT INTO rice_leaf_disease (rice_leaf_disease_id, rice_leaf_disease, description, medicine_id, treatment_id) VALUES
+    (2, 'Healthy', 'No disease detected. The leaf looks healthy.',
+     NULL,
+     (SELECT treatment_id FROM local_practice_treatment WHERE treatment = 'Continue good field practices'));
+INSERT INTO rice_leaf_disease (rice_leaf_disease_id, rice_leaf_disease, description, medicine_id, treatment_id) VALUES
+    (3, 'Leaf Blast', 'Caused by the fungus Magnaporthe oryzae. Diamond-shaped lesions with grey centres and brown borders appear on the leaves and can kill young plants or spread to the panicle neck.',
+     (SELECT medicine_id FROM rice_plant_medicine WHERE rice_plant_medicine = 'Tricyclazole'),
+     (SELECT treatment_id FROM local_practice_treatment WHERE treatment = 'Split fertilizer and keep fields flooded'));
+INSERT INTO rice_leaf_disease (rice_leaf_disease_id, rice_leaf_disease, description, medicine_id, treatment_id) VALUES
+    (4, 'Tungro', 'Viral disease spread by the green leafhopper. Leaves turn yellow to orange from the tip, plants are stunted and produce fewer tillers.',
+     (SELECT medicine_id FROM rice_plant_medicine WHERE rice_plant_medicine = 'Imidacloprid'),
+     (SELECT treatment_id FROM local_practice_treatment WHERE treatment = 'Rogue infected plants'));
@@ -0,0 +1,2 @@
+ALTER TABLE rice_leaf_disease DROP CONSTRAINT df_rice_leaf_disease_is_healthy;
+ALTER TABLE rice_leaf_disease DROP COLUMN is_healthy;
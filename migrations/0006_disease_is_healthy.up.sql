@@ -0,0 +1,5 @@
+-- Marks the class that means "no disease" so statistics do not depend on its name
+ALTER TABLE rice_leaf_disease ADD is_healthy BIT NOT NULL CONSTRAINT df_rice_leaf_disease_is_healthy DEFAULT 0;
+GO
+
+UPDATE rice_leaf_disease SET is_healthy = 1 WHERE rice_leaf_disease = 'Healthy';
@@ -0,0 +1,2 @@
+DROP INDEX ix_user_profiles_address_id ON user_profiles;
+DROP TABLE disease_outbreaks;
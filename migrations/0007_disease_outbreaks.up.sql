@@ -0,0 +1,21 @@
+-- Outbreaks flagged by the regional detector. Area columns hold '' when that level is not used.
+CREATE TABLE disease_outbreaks (
+    outbreak_id INT IDENTITY(1,1) PRIMARY KEY,
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    region NVARCHAR(100) NOT NULL DEFAULT '',
+    province NVARCHAR(100) NOT NULL DEFAULT '',
+    city_municipality NVARCHAR(100) NOT NULL DEFAULT '',
+    detections INT NOT NULL,
+    window_days INT NOT NULL,
+    detected_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    last_seen_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    notified_users INT NOT NULL DEFAULT 0,
+    resolved_at DATETIME2 NULL
+);
+
+-- At most one active outbreak per disease and area, even with several instances running the detector
+CREATE UNIQUE INDEX ux_disease_outbreaks_active
+    ON disease_outbreaks (rice_leaf_disease_id, region, province, city_municipality)
+    WHERE resolved_at IS NULL;
+
+CREATE INDEX ix_user_profiles_address_id ON user_profiles (address_id);
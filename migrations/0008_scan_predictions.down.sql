@@ -0,0 +1,4 @@
+DROP INDEX ix_rice_leaf_scan_model_version ON rice_leaf_scan;
+DROP TABLE scan_predictions;
+ALTER TABLE rice_leaf_scan DROP COLUMN app_version;
+ALTER TABLE rice_leaf_scan DROP COLUMN model_version;
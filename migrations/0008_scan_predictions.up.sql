@@ -0,0 +1,14 @@
+-- Which on-device model and app release produced each scan
+ALTER TABLE rice_leaf_scan ADD model_version NVARCHAR(50) NULL;
+ALTER TABLE rice_leaf_scan ADD app_version NVARCHAR(50) NULL;
+
+-- Top-k classes the model returned for a scan, rank 1 being the most probable
+CREATE TABLE scan_predictions (
+    rice_leaf_scan_id INT NOT NULL REFERENCES rice_leaf_scan (rice_leaf_scan_id),
+    prediction_rank INT NOT NULL,
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    probability FLOAT NOT NULL,
+    PRIMARY KEY (rice_leaf_scan_id, prediction_rank)
+);
+
+CREATE INDEX ix_rice_leaf_scan_model_version ON rice_leaf_scan (model_version);
@@ -0,0 +1,6 @@
+DROP INDEX ix_knowledge_base_changes_entity ON knowledge_base_changes;
+DROP TABLE knowledge_base_changes;
+DROP INDEX ix_disease_treatments_treatment_id ON disease_treatments;
+DROP INDEX ix_disease_medicines_medicine_id ON disease_medicines;
+DROP TABLE disease_treatments;
+DROP TABLE disease_medicines;
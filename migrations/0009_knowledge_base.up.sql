@@ -0,0 +1,38 @@
+-- A disease can recommend several medicines and local practices. The first of each
+-- (lowest sort_order) is also kept in rice_leaf_disease.medicine_id / treatment_id for older clients.
+CREATE TABLE disease_medicines (
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    medicine_id INT NOT NULL REFERENCES rice_plant_medicine (medicine_id),
+    sort_order INT NOT NULL,
+    PRIMARY KEY (rice_leaf_disease_id, medicine_id)
+);
+
+CREATE TABLE disease_treatments (
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    treatment_id INT NOT NULL REFERENCES local_practice_treatment (treatment_id),
+    sort_order INT NOT NULL,
+    PRIMARY KEY (rice_leaf_disease_id, treatment_id)
+);
+
+CREATE INDEX ix_disease_medicines_medicine_id ON disease_medicines (medicine_id);
+CREATE INDEX ix_disease_treatments_treatment_id ON disease_treatments (treatment_id);
+
+INSERT INTO disease_medicines (rice_leaf_disease_id, medicine_id, sort_order)
+    SELECT rice_leaf_disease_id, medicine_id, 1 FROM rice_leaf_disease WHERE medicine_id IS NOT NULL;
+INSERT INTO disease_treatments (rice_leaf_disease_id, treatment_id, sort_order)
+    SELECT rice_leaf_disease_id, treatment_id, 1 FROM rice_leaf_disease WHERE treatment_id IS NOT NULL;
+
+-- Every admin edit to the knowledge base, as JSON snapshots of the entity before and after
+CREATE TABLE knowledge_base_changes (
+    change_id INT IDENTITY(1,1) PRIMARY KEY,
+    entity_type NVARCHAR(20) NOT NULL,
+    entity_id INT NOT NULL,
+    action NVARCHAR(20) NOT NULL,
+    before_data NVARCHAR(MAX) NULL,
+    after_data NVARCHAR(MAX) NULL,
+    changed_by INT NULL REFERENCES user_credentials (user_id),
+    changed_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    reverted_change_id INT NULL REFERENCES knowledge_base_changes (change_id)
+);
+
+CREATE INDEX ix_knowledge_base_changes_entity ON knowledge_base_changes (entity_type, entity_id, change_id);
@@ -0,0 +1,3 @@
+DROP TABLE treatment_translations;
+DROP TABLE medicine_translations;
+DROP TABLE disease_translations;
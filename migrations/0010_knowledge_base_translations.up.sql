@@ -0,0 +1,25 @@
+-- Translations of the knowledge base. The base tables hold English, which is also the
+-- fallback when a language or a field has no translation.
+CREATE TABLE disease_translations (
+    rice_leaf_disease_id INT NOT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    language_code NVARCHAR(10) NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    PRIMARY KEY (rice_leaf_disease_id, language_code)
+);
+
+CREATE TABLE medicine_translations (
+    medicine_id INT NOT NULL REFERENCES rice_plant_medicine (medicine_id),
+    language_code NVARCHAR(10) NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    PRIMARY KEY (medicine_id, language_code)
+);
+
+CREATE TABLE treatment_translations (
+    treatment_id INT NOT NULL REFERENCES local_practice_treatment (treatment_id),
+    language_code NVARCHAR(10) NOT NULL,
+    name NVARCHAR(255) NOT NULL,
+    description NVARCHAR(MAX) NULL,
+    PRIMARY KEY (treatment_id, language_code)
+);
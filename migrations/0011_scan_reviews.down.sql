@@ -0,0 +1,3 @@
+DROP INDEX ix_scan_reviews_status ON scan_reviews;
+DROP INDEX ux_scan_reviews_scan_id ON scan_reviews;
+DROP TABLE scan_reviews;
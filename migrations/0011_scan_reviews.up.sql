@@ -0,0 +1,19 @@
+-- Scans waiting for, or given, an agronomist's verdict. A scan is queued at most once.
+-- status: pending -> claimed -> labeled; an expired claim counts as pending again.
+CREATE TABLE scan_reviews (
+    review_id INT IDENTITY(1,1) PRIMARY KEY,
+    rice_leaf_scan_id INT NOT NULL REFERENCES rice_leaf_scan (rice_leaf_scan_id),
+    reason NVARCHAR(20) NOT NULL,
+    farmer_comment NVARCHAR(500) NULL,
+    status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+    claimed_by INT NULL REFERENCES user_credentials (user_id),
+    claimed_at DATETIME2 NULL,
+    expert_disease_id INT NULL REFERENCES rice_leaf_disease (rice_leaf_disease_id),
+    expert_comment NVARCHAR(2000) NULL,
+    reviewed_by INT NULL REFERENCES user_credentials (user_id),
+    reviewed_at DATETIME2 NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+CREATE UNIQUE INDEX ux_scan_reviews_scan_id ON scan_reviews (rice_leaf_scan_id);
+CREATE INDEX ix_scan_reviews_status ON scan_reviews (status, review_id);
@@ -0,0 +1,15 @@
+-- Training dataset export jobs. options holds the request (format, filters, split, seed)
+-- as JSON so an export can be reproduced; summary holds item counts per split and label.
+CREATE TABLE dataset_exports (
+    export_id INT IDENTITY(1,1) PRIMARY KEY,
+    status NVARCHAR(20) NOT NULL DEFAULT 'queued',
+    format NVARCHAR(10) NOT NULL,
+    options NVARCHAR(MAX) NOT NULL,
+    object_name NVARCHAR(500) NULL,
+    item_count INT NULL,
+    summary NVARCHAR(MAX) NULL,
+    error NVARCHAR(1000) NULL,
+    requested_by INT NOT NULL REFERENCES user_credentials (user_id),
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    completed_at DATETIME2 NULL
+);
@@ -0,0 +1,2 @@
+DROP TABLE user_notification_preferences;
+DROP TABLE user_notification_settings;
@@ -0,0 +1,19 @@
+-- Delivery settings per user. Quiet hours are local times (HH:MM) in the user's timezone;
+-- notifications that arrive inside them are kept in-app without a push.
+CREATE TABLE user_notification_settings (
+    user_id INT NOT NULL PRIMARY KEY REFERENCES user_credentials (user_id),
+    push_enabled BIT NOT NULL DEFAULT 1,
+    quiet_hours_start NVARCHAR(5) NULL,
+    quiet_hours_end NVARCHAR(5) NULL,
+    timezone NVARCHAR(64) NOT NULL,
+    updated_at DATETIME2 NOT NULL DEFAULT GETDATE()
+);
+
+-- Channel per notification type (user_notifications.type): 'push', 'in_app' or 'off'.
+-- Types without a row are delivered in-app and by push.
+CREATE TABLE user_notification_preferences (
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    type NVARCHAR(50) NOT NULL,
+    channel NVARCHAR(10) NOT NULL,
+    PRIMARY KEY (user_id, type)
+);
@@ -0,0 +1,2 @@
+DROP TABLE push_tickets;
+ALTER TABLE user_notifications DROP COLUMN delivery_status;
@@ -0,0 +1,22 @@
+-- Outcome of the push for a notification: NULL when it was only stored in-app,
+-- otherwise 'sent', 'delivered', 'failed' or 'unknown' (no receipt before it expired)
+ALTER TABLE user_notifications ADD delivery_status NVARCHAR(20) NULL;
+GO
+
+-- One row per message handed to Expo. ticket_id is the receipt id Expo returned;
+-- status is 'sent' until the receipt is fetched, then 'delivered', 'failed' or 'unknown'.
+CREATE TABLE push_tickets (
+    push_ticket_id INT IDENTITY(1,1) PRIMARY KEY,
+    notification_id INT NOT NULL REFERENCES user_notifications (notification_id),
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    push_token VARCHAR(255) NOT NULL,
+    ticket_id NVARCHAR(100) NULL,
+    status NVARCHAR(20) NOT NULL,
+    error NVARCHAR(100) NULL,
+    error_message NVARCHAR(MAX) NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    checked_at DATETIME2 NULL
+);
+
+CREATE INDEX ix_push_tickets_status ON push_tickets (status, created_at);
+CREATE INDEX ix_push_tickets_notification_id ON push_tickets (notification_id);
@@ -0,0 +1,15 @@
+ALTER TABLE user_credentials ADD push_token VARCHAR(255) NULL;
+GO
+
+-- Keep the most recently seen device of each user
+UPDATE user_credentials
+SET push_token = (
+    SELECT ud.push_token
+    FROM user_devices ud
+    WHERE ud.user_id = user_credentials.user_id
+    ORDER BY ud.last_seen_at DESC, ud.device_id DESC
+    OFFSET 0 ROWS FETCH NEXT 1 ROWS ONLY
+);
+GO
+
+DROP TABLE user_devices;
@@ -0,0 +1,26 @@
+-- Devices a user receives pushes on, replacing the single user_credentials.push_token.
+-- A push token identifies one app install, so it belongs to at most one user:
+-- registering it again (e.g. a shared phone) moves it to the user who signed in.
+CREATE TABLE user_devices (
+    device_id INT IDENTITY(1,1) PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    push_token VARCHAR(255) NOT NULL,
+    platform NVARCHAR(20) NULL,
+    app_version NVARCHAR(50) NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    last_seen_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT uq_user_devices_push_token UNIQUE (push_token)
+);
+
+CREATE INDEX ix_user_devices_user_id ON user_devices (user_id, last_seen_at);
+GO
+
+-- A token registered to several accounts stays with the newest one
+INSERT INTO user_devices (user_id, push_token)
+SELECT MAX(user_id), push_token
+FROM user_credentials
+WHERE push_token IS NOT NULL
+GROUP BY push_token;
+GO
+
+ALTER TABLE user_credentials DROP COLUMN push_token;
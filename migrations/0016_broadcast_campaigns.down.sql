@@ -0,0 +1,4 @@
+DROP INDEX ix_user_notifications_campaign_id ON user_notifications;
+ALTER TABLE user_notifications DROP CONSTRAINT fk_user_notifications_campaign_id;
+ALTER TABLE user_notifications DROP COLUMN campaign_id;
+DROP TABLE broadcast_campaigns;
@@ -0,0 +1,26 @@
+-- Broadcasts sent from the admin panel. audience holds the segment filters (JSON);
+-- the counts are taken when the broadcast is sent, skipped is a JSON count per skip reason.
+-- Delivery and read stats come from the user_notifications rows of the campaign.
+CREATE TABLE broadcast_campaigns (
+    campaign_id INT IDENTITY(1,1) PRIMARY KEY,
+    title NVARCHAR(255) NOT NULL,
+    body NVARCHAR(MAX) NULL,
+    data NVARCHAR(MAX) NULL,
+    audience NVARCHAR(MAX) NULL,
+    status NVARCHAR(20) NOT NULL,
+    recipient_count INT NOT NULL DEFAULT 0,
+    stored_count INT NOT NULL DEFAULT 0,
+    pushed_count INT NOT NULL DEFAULT 0,
+    skipped NVARCHAR(MAX) NULL,
+    error NVARCHAR(MAX) NULL,
+    created_by INT NOT NULL REFERENCES user_credentials (user_id),
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    completed_at DATETIME2 NULL
+);
+GO
+
+ALTER TABLE user_notifications ADD campaign_id INT NULL
+    CONSTRAINT fk_user_notifications_campaign_id REFERENCES broadcast_campaigns (campaign_id);
+GO
+
+CREATE INDEX ix_user_notifications_campaign_id ON user_notifications (campaign_id);
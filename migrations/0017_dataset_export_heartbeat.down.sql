@@ -0,0 +1 @@
+ALTER TABLE dataset_exports DROP COLUMN heartbeat_at;
@@ -0,0 +1,3 @@
+-- Refreshed while an export runs, so jobs lost with their instance can be told apart from
+-- jobs still in progress and marked as failed.
+ALTER TABLE dataset_exports ADD heartbeat_at DATETIME2 NULL;
@@ -0,0 +1,8 @@
+-- Who uploaded each scan image. Images are stored under their content hash, so the same
+-- object can belong to several users; /predict only classifies images the caller owns.
+CREATE TABLE scan_uploads (
+    user_id INT NOT NULL REFERENCES user_credentials (user_id),
+    image_ref NVARCHAR(500) NOT NULL,
+    created_at DATETIME2 NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT pk_scan_uploads PRIMARY KEY (user_id, image_ref)
+);
@@ -0,0 +1,2 @@
+DROP INDEX ix_push_tickets_status ON push_tickets;
+CREATE INDEX ix_push_tickets_status ON push_tickets (status, created_at);
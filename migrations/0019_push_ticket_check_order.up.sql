@@ -0,0 +1,4 @@
+-- checked_at is now also set on tickets still waiting for a receipt, and the receipt check
+-- takes the longest-unchecked tickets first
+DROP INDEX ix_push_tickets_status ON push_tickets;
+CREATE INDEX ix_push_tickets_status ON push_tickets (status, checked_at, created_at);
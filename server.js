@@ -1,157 +1,751 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Connection, Request, TYPES } = require('tedious');
+const { Connection, Request, TYPES, ISOLATION_LEVEL } = require('tedious');
 const { Connector } = require('@google-cloud/cloud-sql-connector');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { Storage } = require('@google-cloud/storage');
 const multer = require('multer');
+const sharp = require('sharp');
+const ort = require('onnxruntime-node');
 const nodemailer = require('nodemailer');
 const rateLimit = require('express-rate-limit');
 const { Expo } = require('expo-server-sdk');
-
-// Initialize Expo client
-const expo = new Expo();
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Initialize Expo client. setPushClient swaps it for another client with the same
+// interface (e.g. a local fake in tests); EXPO_BASE_URL points the SDK at another server.
+let expo = new Expo({ accessToken: process.env.EXPO_ACCESS_TOKEN });
+function setPushClient(client) {
+    expo = client;
+}
 
 /*DATABASE*/
-const connectionPool = [];
-const MAX_POOL_SIZE = 10;
+// Backend selection: 'cloudsql' (default), 'tedious' for a direct SQL Server connection,
+// or 'sqlite' for an in-memory database used in local development and tests
+const DB_CLIENT = process.env.DB_CLIENT || 'cloudsql';
+// Pool configuration
+const MAX_POOL_SIZE = parseInt(process.env.DB_POOL_MAX, 10) || 10;
+const POOL_ACQUIRE_TIMEOUT = parseInt(process.env.DB_POOL_ACQUIRE_TIMEOUT, 10) || 15000;
+const POOL_IDLE_TIMEOUT = parseInt(process.env.DB_POOL_IDLE_TIMEOUT, 10) || 5 * 60 * 1000;
+const POOL_VALIDATE_AFTER = parseInt(process.env.DB_POOL_VALIDATE_AFTER, 10) || 30 * 1000;
+const connectionPool = {
+    all: new Set(),     // every open connection
+    idle: [],           // connections ready for reuse, most recently released last
+    waiters: [],        // FIFO queue of pending acquires
+    pending: 0,         // connections being opened
+    stats: {
+        acquired: 0,
+        waited: 0,
+        totalWaitMs: 0,
+        maxWaitMs: 0,
+        timeouts: 0,
+        created: 0,
+        destroyed: 0,
+        validationFailures: 0
+    }
+};
+// One Cloud SQL connector shared by every connection
+let connector;
+function getConnector() {
+    if (!connector) {
+        connector = new Connector();
+    }
+    return connector;
+}
+// Tedious options for the configured backend
+async function getConnectionConfig() {
+    const authentication = {
+        type: 'default',
+        options: {
+            userName: process.env.DB_USER,
+            password: process.env.DB_PASSWORD,
+        },
+    };
+    const commonOptions = {
+        database: process.env.DB_NAME,
+        connectTimeout: 30000, // 30 seconds timeout
+        requestTimeout: 30000,
+        retry: {
+            maxRetries: 3,
+            minTimeout: 300,
+            maxTimeout: 3000
+        }
+    };
+
+    if (DB_CLIENT === 'tedious') {
+        return {
+            server: process.env.DB_HOST || 'localhost',
+            authentication,
+            options: {
+                ...commonOptions,
+                port: parseInt(process.env.DB_PORT, 10) || 1433,
+                encrypt: process.env.DB_ENCRYPT !== 'false',
+                trustServerCertificate: process.env.DB_TRUST_SERVER_CERTIFICATE === 'true',
+            },
+        };
+    }
+
+    if (DB_CLIENT !== 'cloudsql') {
+        throw new Error(`Unsupported DB_CLIENT for tedious connections: ${DB_CLIENT}`);
+    }
+
+    const clientOpts = await getConnector().getTediousOptions({
+        instanceConnectionName: process.env.DB_SERVER,
+        ipType: 'PUBLIC',
+    });
+
+    return {
+        server: '0.0.0.0',
+        authentication,
+        options: {
+            ...clientOpts,
+            ...commonOptions,
+            port: 9999,
+            trustServerCertificate: true,
+            encrypt: false,
+        },
+    };
+}
 // Database Connection
 async function createNewConnection() {
-    try {
-        const connector = new Connector();
-        const clientOpts = await connector.getTediousOptions({
-            instanceConnectionName: process.env.DB_SERVER,
-            ipType: 'PUBLIC',
+    const connection = new Connection(await getConnectionConfig());
+
+    return new Promise((resolve, reject) => {
+        connection.connect(err => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(connection);
+        });
+    });
+}
+// Run a single request on a connection the caller already holds
+function runQuery(connection, query, params = []) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const request = new Request(query, (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(results);
         });
 
-        const connection = new Connection({
-            server: '0.0.0.0',
-            authentication: {
-                type: 'default',
-                options: {
-                    userName: process.env.DB_USER,
-                    password: process.env.DB_PASSWORD,
-                },
-            },
-            options: {
-                ...clientOpts,
-                port: 9999,
-                database: process.env.DB_NAME,
-                trustServerCertificate: true,
-                encrypt: false,
-                connectTimeout: 30000, // 30 seconds timeout
-                requestTimeout: 30000,
-                retry: {
-                    maxRetries: 3,
-                    minTimeout: 300,
-                    maxTimeout: 3000
-                }
-            },
+        params.forEach((param, index) => {
+            request.addParameter(`param${index}`, param.type, param.value);
         });
 
-        return new Promise((resolve, reject) => {
-            connection.connect(err => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve(connection);
-            });
+        request.on('row', (columns) => {
+            results.push(columns);
         });
-    } catch (error) {
-        throw error;
+
+        connection.execSql(request);
+    });
+}
+// Open a connection and register it with the pool
+async function openPooledConnection() {
+    connectionPool.pending++;
+    try {
+        const connection = await createNewConnection();
+        connection.lastUsedAt = Date.now();
+        connection.on('end', () => destroyConnection(connection));
+        connection.on('error', (err) => {
+            console.error('Database connection error:', err);
+            destroyConnection(connection);
+        });
+        connectionPool.all.add(connection);
+        connectionPool.stats.created++;
+        return connection;
+    } finally {
+        connectionPool.pending--;
     }
 }
-// Get an available connection from the pool
-async function getConnection() {
-    // Remove closed connections from the pool
-    for (let i = connectionPool.length - 1; i >= 0; i--) {
-        if (connectionPool[i].state.name === 'Final') {
-            connectionPool.splice(i, 1);
+// Close a connection and forget about it
+function destroyConnection(connection) {
+    const idleIndex = connectionPool.idle.indexOf(connection);
+    if (idleIndex > -1) {
+        connectionPool.idle.splice(idleIndex, 1);
+    }
+
+    if (connectionPool.all.delete(connection)) {
+        connectionPool.stats.destroyed++;
+        if (connection.state.name !== 'Final') {
+            connection.close();
         }
+        // A slot opened up, so a waiter can get a fresh connection
+        fillWaiter();
+    }
+}
+// Make sure an idle connection still works before handing it out
+async function isConnectionUsable(connection) {
+    if (connection.state.name !== 'LoggedIn') {
+        return false;
+    }
+
+    if (Date.now() - connection.lastUsedAt < POOL_VALIDATE_AFTER) {
+        return true;
+    }
+
+    try {
+        await runQuery(connection, 'SELECT 1');
+        return true;
+    } catch (err) {
+        connectionPool.stats.validationFailures++;
+        return false;
+    }
+}
+// Open a connection for the first waiter if there is room
+function fillWaiter() {
+    if (connectionPool.waiters.length === 0 ||
+        connectionPool.all.size + connectionPool.pending >= MAX_POOL_SIZE) {
+        return;
     }
 
-    // Find an available connection
-    const availableConnection = connectionPool.find(conn => 
-        conn.state.name === 'LoggedIn' && !conn.isExecuting);
+    const waiter = connectionPool.waiters.shift();
+    openPooledConnection()
+        .then(connection => handToWaiter(waiter, connection))
+        .catch(err => {
+            clearTimeout(waiter.timer);
+            if (!waiter.settled) {
+                waiter.settled = true;
+                waiter.reject(err);
+            }
+        });
+}
+// Give a connection to a waiter, or back to the pool if it already timed out
+function handToWaiter(waiter, connection) {
+    clearTimeout(waiter.timer);
+    if (waiter.settled) {
+        releaseConnection(connection);
+        return;
+    }
 
-    if (availableConnection) {
-        return availableConnection;
+    waiter.settled = true;
+    recordWait(Date.now() - waiter.enqueuedAt);
+    waiter.resolve(connection);
+}
+function recordWait(waitMs) {
+    const { stats } = connectionPool;
+    stats.acquired++;
+    if (waitMs > 0) {
+        stats.waited++;
+        stats.totalWaitMs += waitMs;
+        stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+    }
+}
+// Get a connection for exclusive use; every acquire must be paired with releaseConnection
+async function acquireConnection() {
+    while (connectionPool.idle.length > 0) {
+        const connection = connectionPool.idle.pop();
+        if (await isConnectionUsable(connection)) {
+            recordWait(0);
+            return connection;
+        }
+        destroyConnection(connection);
     }
 
-    // Create new connection if pool isn't full
-    if (connectionPool.length < MAX_POOL_SIZE) {
-        const newConnection = await createNewConnection();
-        connectionPool.push(newConnection);
-        return newConnection;
+    if (connectionPool.all.size + connectionPool.pending < MAX_POOL_SIZE) {
+        const connection = await openPooledConnection();
+        recordWait(0);
+        return connection;
     }
 
-    // Wait for an available connection
-    return new Promise((resolve) => {
-        const checkInterval = setInterval(async () => {
-            const conn = connectionPool.find(c => 
-                c.state.name === 'LoggedIn' && !c.isExecuting);
-            if (conn) {
-                clearInterval(checkInterval);
-                resolve(conn);
+    // Wait in line for a connection to be released
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject, enqueuedAt: Date.now(), settled: false };
+        waiter.timer = setTimeout(() => {
+            const index = connectionPool.waiters.indexOf(waiter);
+            if (index > -1) {
+                connectionPool.waiters.splice(index, 1);
             }
-        }, 100);
+            waiter.settled = true;
+            connectionPool.stats.timeouts++;
+            reject(new Error(`Timed out after ${POOL_ACQUIRE_TIMEOUT}ms waiting for a database connection`));
+        }, POOL_ACQUIRE_TIMEOUT);
+        connectionPool.waiters.push(waiter);
     });
 }
-// Modified executeQuery function
+// Return a connection to the pool or pass it straight to the next waiter
+function releaseConnection(connection) {
+    if (!connectionPool.all.has(connection)) {
+        return;
+    }
+
+    if (connection.state.name !== 'LoggedIn') {
+        destroyConnection(connection);
+        return;
+    }
+
+    connection.lastUsedAt = Date.now();
+
+    const waiter = connectionPool.waiters.shift();
+    if (waiter) {
+        handToWaiter(waiter, connection);
+        return;
+    }
+
+    connectionPool.idle.push(connection);
+}
+// Close connections that have been idle too long
+function startIdleEviction() {
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const connection of [...connectionPool.idle]) {
+            if (now - connection.lastUsedAt > POOL_IDLE_TIMEOUT) {
+                destroyConnection(connection);
+            }
+        }
+    }, Math.min(POOL_IDLE_TIMEOUT, 60 * 1000));
+    timer.unref();
+    return timer;
+}
+// Current pool usage, used to tune MAX_POOL_SIZE
+function getPoolStats() {
+    const { stats } = connectionPool;
+    return {
+        client: DB_CLIENT,
+        maxSize: MAX_POOL_SIZE,
+        size: connectionPool.all.size,
+        inUse: connectionPool.all.size - connectionPool.idle.length,
+        idle: connectionPool.idle.length,
+        pending: connectionPool.pending,
+        waiters: connectionPool.waiters.length,
+        acquired: stats.acquired,
+        waited: stats.waited,
+        averageWaitMs: stats.waited > 0 ? Math.round(stats.totalWaitMs / stats.waited) : 0,
+        maxWaitMs: stats.maxWaitMs,
+        timeouts: stats.timeouts,
+        created: stats.created,
+        destroyed: stats.destroyed,
+        validationFailures: stats.validationFailures
+    };
+}
+// Close every connection and fail anyone still waiting
+function closePool() {
+    for (const waiter of connectionPool.waiters.splice(0)) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Database pool is closing'));
+    }
+    for (const connection of [...connectionPool.all]) {
+        destroyConnection(connection);
+    }
+    if (connector) {
+        connector.close();
+    }
+    if (sqliteDatabase) {
+        sqliteDatabase.then(db => db.close()).catch(() => {});
+        sqliteDatabase = null;
+    }
+}
+// Run a query on a pooled connection
 async function executeQuery(query, params = []) {
-    let connection;
-    try {
-        connection = await getConnection();
-        
-        return new Promise((resolve, reject) => {
-            const request = new Request(query, (err) => {
-                if (err) {
-                    reject(err);
-                }
-            });
+    if (DB_CLIENT === 'sqlite') {
+        return runSqliteExclusive(db => runSqliteQuery(db, query, params));
+    }
 
-            params.forEach((param, index) => {
-                request.addParameter(`param${index}`, param.type, param.value);
-            });
+    const connection = await acquireConnection();
+    try {
+        return await runQuery(connection, query, params);
+    } finally {
+        releaseConnection(connection);
+    }
+}
+// Run several queries on one connection inside a transaction.
+// The callback receives tx.executeQuery (same contract as executeQuery; run queries one at a time).
+// Commits when the callback resolves and rolls back when it throws.
+async function withTransaction(work, { isolationLevel = ISOLATION_LEVEL.READ_COMMITTED } = {}) {
+    if (DB_CLIENT === 'sqlite') {
+        return runSqliteExclusive(db => withSqliteTransaction(db, work));
+    }
 
-            const results = [];
-            request.on('row', (columns) => {
-                results.push(columns);
-            });
+    const connection = await acquireConnection();
+    let began = false;
 
-            request.on('requestCompleted', () => {
-                resolve(results);
-            });
+    try {
+        await new Promise((resolve, reject) => {
+            connection.beginTransaction(err => (err ? reject(err) : resolve()), '', isolationLevel);
+        });
+        began = true;
 
-            request.on('error', (err) => {
-                reject(err);
-            });
+        const tx = {
+            executeQuery: (query, params = []) => runQuery(connection, query, params)
+        };
+        const result = await work(tx);
 
-            connection.execSql(request);
+        await new Promise((resolve, reject) => {
+            connection.commitTransaction(err => (err ? reject(err) : resolve()));
         });
+        return result;
     } catch (error) {
-        // If connection error occurs, try to create a new connection
-        if (connection && connection.state.name === 'Final') {
-            const index = connectionPool.indexOf(connection);
-            if (index > -1) {
-                connectionPool.splice(index, 1);
+        if (began && connection.state.name === 'LoggedIn') {
+            try {
+                await new Promise((resolve, reject) => {
+                    connection.rollbackTransaction(err => (err ? reject(err) : resolve()));
+                });
+            } catch (rollbackError) {
+                // The server may already have aborted the transaction; never reuse this connection
+                console.error('Transaction rollback error:', rollbackError);
+                destroyConnection(connection);
             }
         }
         throw error;
+    } finally {
+        releaseConnection(connection);
+    }
+}
+
+// In-memory SQLite backend. Queries are written in T-SQL; the subset the routes use is
+// rewritten to SQLite and rows are returned in the same shape tedious produces.
+let sqliteDatabase = null;
+let sqliteQueue = Promise.resolve();
+function getSqliteDatabase() {
+    if (!sqliteDatabase) {
+        sqliteDatabase = require('sql.js')().then(SQL => {
+            const db = new SQL.Database();
+            if (process.env.DB_SEED_FILE) {
+                db.exec(translateToSqlite(fs.readFileSync(process.env.DB_SEED_FILE, 'utf8')));
+            }
+            return db;
+        });
+    }
+    return sqliteDatabase;
+}
+// Load schema and rows into the SQLite database, e.g. from a test setup
+async function seedDatabase(sql) {
+    return runSqliteExclusive(async db => {
+        db.exec(translateToSqlite(sql));
+    });
+}
+// SQLite has a single connection, so queries and transactions take turns
+function runSqliteExclusive(work) {
+    const run = sqliteQueue.then(async () => work(await getSqliteDatabase()));
+    sqliteQueue = run.catch(() => {});
+    return run;
+}
+function translateToSqlite(query) {
+    return query
+        .replace(/\bSYSUTCDATETIME\(\)|\bGETUTCDATE\(\)|\bGETDATE\(\)/gi, 'CURRENT_TIMESTAMP')
+        .replace(/\bSCOPE_IDENTITY\(\)/gi, 'last_insert_rowid()')
+        .replace(/\bOUTPUT\s+((?:INSERTED\.\w+\s*,\s*)*INSERTED\.\w+)\s+(VALUES\b[^;]*?)(\s*(?:;|$))/gi,
+            (match, columns, values, end) => `${values} RETURNING ${columns.replace(/\bINSERTED\./gi, '')}${end}`)
+        .replace(/@@ROWCOUNT/gi, 'changes()')
+        .replace(/\bISNULL\(/gi, 'IFNULL(')
+        .replace(/\bLEN\(/gi, 'LENGTH(')
+        .replace(/\bCONVERT\(\s*N?VARCHAR\s*\(\s*\d+\s*\)\s*,\s*([\w.]+)\s*,\s*126\s*\)/gi, '$1')
+        .replace(/\bN?VARCHAR\s*\(\s*MAX\s*\)/gi, 'TEXT')
+        .replace(/\bINT\s+IDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+        .replace(/\bOFFSET\s+(@?\w+)\s+ROWS\s+FETCH\s+NEXT\s+(@?\w+)\s+ROWS\s+ONLY\b/gi, 'LIMIT $2 OFFSET $1')
+        .replace(/\bALTER\s+TABLE\s+\w+\s+DROP\s+CONSTRAINT\s+\w+\s*;/gi, '')
+        .replace(/\bDROP\s+INDEX\s+(\w+)\s+ON\s+\w+/gi, 'DROP INDEX $1')
+        .replace(/\bSET\s+IDENTITY_INSERT\s+\w+\s+(ON|OFF)\s*;/gi, '')
+        .replace(/^\s*GO\s*$/gim, '');
+}
+function toSqliteValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    // Exactly the layout CURRENT_TIMESTAMP stores (UTC, space separator, whole seconds)
+    // so bound dates and stored dates compare correctly as text
+    if (value instanceof Date) {
+        return value.toISOString().replace('T', ' ').slice(0, 19);
     }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return value;
 }
+function runSqliteQuery(db, query, params = []) {
+    const bindings = {};
+    params.forEach((param, index) => {
+        bindings[`@param${index}`] = toSqliteValue(param.value);
+    });
 
+    const results = [];
+    for (const statement of db.iterateStatements(translateToSqlite(query))) {
+        try {
+            statement.bind(bindings);
+            const columnNames = statement.getColumnNames();
+            while (statement.step()) {
+                const values = statement.get();
+                results.push(values.map((value, index) => ({
+                    value,
+                    metadata: { colName: columnNames[index] }
+                })));
+            }
+        } finally {
+            statement.free();
+        }
+    }
+    return results;
+}
+async function withSqliteTransaction(db, work) {
+    db.exec('BEGIN TRANSACTION');
+    try {
+        const result = await work({
+            executeQuery: async (query, params = []) => runSqliteQuery(db, query, params)
+        });
+        db.exec('COMMIT');
+        return result;
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+    }
+}
 
 /*CLOUD STORAGE*/
-// Initialize Google Cloud Storage
-const storage = new Storage({
-    projectId: process.env.GOOGLE_CLOUD_PROJECT,
-});
-const bucket_scan = storage.bucket(process.env.BUCKET_NAME_SCAN);
-const bucket_profile = storage.bucket(process.env.BUCKET_NAME_PROFILE);
+// Objects are private; clients only ever get time-limited URLs.
+// STORAGE_BACKEND selects 'gcs' (default) or 'local' for development and tests.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'gcs';
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL, 10) || 15 * 60 * 1000;
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+// Google Cloud Storage bucket behind the storage interface
+function createGcsBucket(storage, bucketName) {
+    const bucket = storage.bucket(bucketName);
+
+    return {
+        name: bucketName,
+        async save(objectName, buffer, { contentType } = {}) {
+            await bucket.file(objectName).save(buffer, { contentType, resumable: false });
+        },
+        async createWriteStream(objectName, { contentType } = {}) {
+            return bucket.file(objectName).createWriteStream({ contentType, resumable: true });
+        },
+        async exists(objectName) {
+            const [exists] = await bucket.file(objectName).exists();
+            return exists;
+        },
+        async download(objectName) {
+            const [contents] = await bucket.file(objectName).download();
+            return contents;
+        },
+        async delete(objectName) {
+            await bucket.file(objectName).delete({ ignoreNotFound: true });
+        },
+        async getSignedUrl(objectName) {
+            const [url] = await bucket.file(objectName).getSignedUrl({
+                version: 'v4',
+                action: 'read',
+                expires: Date.now() + SIGNED_URL_TTL
+            });
+            return url;
+        }
+    };
+}
+// Local directory bucket; files are served through the signed /files route
+function createLocalBucket(bucketName) {
+    const root = path.join(LOCAL_STORAGE_DIR, bucketName);
+    const resolve = (objectName) => {
+        const filePath = path.resolve(root, objectName);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid object name');
+        }
+        return filePath;
+    };
+
+    return {
+        name: bucketName,
+        resolve,
+        async save(objectName, buffer, { contentType } = {}) {
+            const filePath = resolve(objectName);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+        async createWriteStream(objectName) {
+            const filePath = resolve(objectName);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            return fs.createWriteStream(filePath);
+        },
+        async exists(objectName) {
+            try {
+                await fs.promises.access(resolve(objectName));
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+        async download(objectName) {
+            return fs.promises.readFile(resolve(objectName));
+        },
+        async delete(objectName) {
+            await fs.promises.rm(resolve(objectName), { force: true });
+        },
+        async getSignedUrl(objectName) {
+            const expires = Date.now() + SIGNED_URL_TTL;
+            const signature = signFileUrl(bucketName, objectName, expires);
+            const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 8080}`;
+            return `${baseUrl}/files/${encodeURIComponent(bucketName)}/${encodeURIComponent(objectName)}` +
+                `?expires=${expires}&signature=${signature}`;
+        }
+    };
+}
+function signFileUrl(bucketName, objectName, expires) {
+    return crypto
+        .createHmac('sha256', process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || '')
+        .update(`${bucketName}/${objectName}:${expires}`)
+        .digest('hex');
+}
+function createBucket(bucketName) {
+    if (STORAGE_BACKEND === 'local') {
+        return createLocalBucket(bucketName);
+    }
+    const storage = new Storage({
+        projectId: process.env.GOOGLE_CLOUD_PROJECT,
+    });
+    return createGcsBucket(storage, bucketName);
+}
+const bucket_scan = createBucket(process.env.BUCKET_NAME_SCAN || 'scan');
+const bucket_profile = createBucket(process.env.BUCKET_NAME_PROFILE || 'profile');
+const bucket_export = createBucket(process.env.BUCKET_NAME_EXPORT || 'export');
+// Object name for a stored image reference. Rows written before objects were private
+// hold full public URLs, and older clients may send back a signed URL.
+function toObjectName(bucket, reference) {
+    if (!reference) {
+        return reference;
+    }
+
+    const prefixes = [
+        `https://storage.googleapis.com/${bucket.name}/`,
+        `https://${bucket.name}.storage.googleapis.com/`,
+        `/files/${encodeURIComponent(bucket.name)}/`
+    ];
+    for (const prefix of prefixes) {
+        const index = reference.indexOf(prefix);
+        if (index > -1) {
+            return decodeURIComponent(reference.slice(index + prefix.length).split('?')[0]);
+        }
+    }
+    return reference;
+}
+// Time-limited URL for a stored image reference, or null when there is none
+async function resolveImageUrl(bucket, reference) {
+    if (!reference) {
+        return null;
+    }
+
+    try {
+        return await bucket.getSignedUrl(toObjectName(bucket, reference));
+    } catch (err) {
+        console.error('Error signing image URL:', err);
+        return null;
+    }
+}
+
+
+
+/*IMAGE PROCESSING*/
+// Upload limits and output settings
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 8000;
+const IMAGE_MIN_DIMENSION = 32;
+const ALLOWED_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'heif'];
+const IMAGE_PROFILES = {
+    scan: { maxSize: 1600, thumbnailSize: 256 },
+    profile: { maxSize: 512, thumbnailSize: 128 }
+};
+// Error for uploads that are not acceptable images
+class ImageValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImageValidationError';
+        this.status = status;
+    }
+}
+// Accept a single image field, mapping multer failures to client errors.
+// With optional set, a request without the file is passed on for the route to handle.
+function uploadImage(fieldName, { optional = false } = {}) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: IMAGE_MAX_BYTES, files: 1 }
+    }).single(fieldName);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (err && err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Image must be at most ${IMAGE_MAX_BYTES} bytes` });
+            }
+            if (err) {
+                return res.status(400).json({ error: 'Upload failed', details: err.message });
+            }
+            if (!req.file && !optional) {
+                return res.status(400).json({ error: `No image provided in the "${fieldName}" field` });
+            }
+            next();
+        });
+    };
+}
+// Validate the real image type and size, then produce a clean JPEG and thumbnail.
+// Orientation is applied to the pixels and all metadata (EXIF, GPS) is dropped.
+async function processImage(buffer, { maxSize, thumbnailSize }) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: IMAGE_MAX_DIMENSION * IMAGE_MAX_DIMENSION }).metadata();
+    } catch (err) {
+        throw new ImageValidationError('File is not a supported image');
+    }
+
+    if (!ALLOWED_IMAGE_FORMATS.includes(metadata.format)) {
+        throw new ImageValidationError(`Unsupported image type: ${metadata.format}`, 415);
+    }
+
+    if (metadata.width > IMAGE_MAX_DIMENSION || metadata.height > IMAGE_MAX_DIMENSION) {
+        throw new ImageValidationError(`Image dimensions must be at most ${IMAGE_MAX_DIMENSION}x${IMAGE_MAX_DIMENSION}`);
+    }
+
+    if (metadata.width < IMAGE_MIN_DIMENSION || metadata.height < IMAGE_MIN_DIMENSION) {
+        throw new ImageValidationError(`Image dimensions must be at least ${IMAGE_MIN_DIMENSION}x${IMAGE_MIN_DIMENSION}`);
+    }
+
+    const base = sharp(buffer).rotate();
+    const { data: image, info } = await base
+        .clone()
+        .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+    const thumbnail = await base
+        .clone()
+        .resize(thumbnailSize, thumbnailSize, { fit: 'cover' })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+
+    return { image, thumbnail, width: info.width, height: info.height, contentType: 'image/jpeg' };
+}
+// Thumbnail object stored next to a processed image; older uploads have none
+function thumbnailRefFor(imageRef) {
+    const match = /^([0-9a-f]{64})\.jpg$/.exec(imageRef || '');
+    return match ? `${match[1]}-thumb.jpg` : null;
+}
+// Process an upload and store it under a name derived from its contents,
+// reusing the stored copy when the same image was uploaded before
+async function storeImage(bucket, buffer, profile) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const imageRef = `${hash}.jpg`;
+    const thumbnailRef = thumbnailRefFor(imageRef);
+
+    const deduplicated = await bucket.exists(imageRef);
+    let dimensions = {};
+    if (!deduplicated) {
+        const processed = await processImage(buffer, profile);
+        await bucket.save(thumbnailRef, processed.thumbnail, { contentType: processed.contentType });
+        await bucket.save(imageRef, processed.image, { contentType: processed.contentType });
+        dimensions = { width: processed.width, height: processed.height };
+    }
 
+    return {
+        imageRef,
+        thumbnailRef,
+        imageUrl: await bucket.getSignedUrl(imageRef),
+        thumbnailUrl: await bucket.getSignedUrl(thumbnailRef),
+        deduplicated,
+        ...dimensions
+    };
+}
 
 /*NODEMAILER*/
 // Email configuration
@@ -162,10 +756,209 @@ const transporter = nodemailer.createTransport({
         pass: process.env.EMAIL_PASSWORD
     }
 });
-// Verification Codes Storage 
-const verificationCodes = new Map();
-const passwordResetCodes = new Map();
-const otpStorage = new Map();
+
+
+/*VERIFICATION CODES*/
+// Code purposes and lifetimes
+const CODE_PURPOSES = {
+    SIGNUP: 'signup',
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_CHANGE: 'email_change',
+    PASSWORD_RESET_TOKEN: 'password_reset_token'
+};
+const SIGNUP_CODE_TTL = 15 * 60 * 1000;
+const PASSWORD_RESET_CODE_TTL = 15 * 60 * 1000;
+const EMAIL_CHANGE_CODE_TTL = 10 * 60 * 1000;
+const PASSWORD_RESET_TOKEN_TTL = 10 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = parseInt(process.env.MAX_CODE_ATTEMPTS, 10) || 5;
+const CODE_SWEEP_INTERVAL = parseInt(process.env.CODE_SWEEP_INTERVAL, 10) || 5 * 60 * 1000;
+// Codes are never stored in plain text
+function hashCode(code) {
+    return crypto
+        .createHmac('sha256', process.env.CODE_HASH_SECRET || JWT_SECRET || '')
+        .update(String(code))
+        .digest('hex');
+}
+function codeMatches(code, codeHash) {
+    const expected = Buffer.from(codeHash, 'hex');
+    const actual = Buffer.from(hashCode(code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+// Pending codes kept in the verification_codes table so every instance sees them
+function createSqlCodeStore() {
+    return {
+        async save(purpose, identifier, code, data, ttl) {
+            const query = `
+                DELETE FROM verification_codes
+                WHERE purpose = @param0 AND identifier = @param1;
+
+                INSERT INTO verification_codes (purpose, identifier, code_hash, payload, attempts, expires_at, created_at)
+                VALUES (@param0, @param1, @param2, @param3, 0, @param4, GETDATE());
+            `;
+            const params = [
+                { type: TYPES.VarChar, value: purpose },
+                { type: TYPES.NVarChar, value: identifier },
+                { type: TYPES.VarChar, value: hashCode(code) },
+                { type: TYPES.NVarChar, value: JSON.stringify(data || {}) },
+                { type: TYPES.DateTime2, value: new Date(Date.now() + ttl) }
+            ];
+
+            await executeQuery(query, params);
+        },
+        async get(purpose, identifier) {
+            const query = `
+                SELECT code_hash, payload, attempts, expires_at
+                FROM verification_codes
+                WHERE purpose = @param0 AND identifier = @param1
+            `;
+            const params = [
+                { type: TYPES.VarChar, value: purpose },
+                { type: TYPES.NVarChar, value: identifier }
+            ];
+
+            const result = await executeQuery(query, params);
+            if (result.length === 0) {
+                return null;
+            }
+
+            return {
+                codeHash: result[0][0].value,
+                data: JSON.parse(result[0][1].value || '{}'),
+                attempts: result[0][2].value,
+                expiresAt: new Date(result[0][3].value)
+            };
+        },
+        // Check and count one attempt in a single statement so parallel guesses cannot
+        // all get past the limit. Resolves to false when no attempts are left.
+        async useAttempt(purpose, identifier, maxAttempts) {
+            const query = `
+                UPDATE verification_codes
+                SET attempts = attempts + 1
+                WHERE purpose = @param0 AND identifier = @param1 AND attempts < @param2;
+
+                SELECT @@ROWCOUNT as updated;
+            `;
+            const params = [
+                { type: TYPES.VarChar, value: purpose },
+                { type: TYPES.NVarChar, value: identifier },
+                { type: TYPES.Int, value: maxAttempts }
+            ];
+
+            const result = await executeQuery(query, params);
+            return result[0][0].value > 0;
+        },
+        async remove(purpose, identifier) {
+            const query = `
+                DELETE FROM verification_codes
+                WHERE purpose = @param0 AND identifier = @param1;
+
+                SELECT @@ROWCOUNT as removed;
+            `;
+            const params = [
+                { type: TYPES.VarChar, value: purpose },
+                { type: TYPES.NVarChar, value: identifier }
+            ];
+
+            const result = await executeQuery(query, params);
+            return result[0][0].value > 0;
+        },
+        async sweep() {
+            const query = `
+                DELETE FROM verification_codes
+                WHERE expires_at < @param0;
+
+                SELECT @@ROWCOUNT as removed;
+            `;
+            const params = [
+                { type: TYPES.DateTime2, value: new Date() }
+            ];
+
+            const result = await executeQuery(query, params);
+            return result[0][0].value;
+        }
+    };
+}
+// Single-process store for local development
+function createMemoryCodeStore() {
+    const entries = new Map();
+    const keyOf = (purpose, identifier) => `${purpose}:${identifier}`;
+
+    return {
+        async save(purpose, identifier, code, data, ttl) {
+            entries.set(keyOf(purpose, identifier), {
+                codeHash: hashCode(code),
+                data: data || {},
+                attempts: 0,
+                expiresAt: new Date(Date.now() + ttl)
+            });
+        },
+        async get(purpose, identifier) {
+            return entries.get(keyOf(purpose, identifier)) || null;
+        },
+        async useAttempt(purpose, identifier, maxAttempts) {
+            const entry = entries.get(keyOf(purpose, identifier));
+            if (!entry || entry.attempts >= maxAttempts) {
+                return false;
+            }
+            entry.attempts++;
+            return true;
+        },
+        async remove(purpose, identifier) {
+            return entries.delete(keyOf(purpose, identifier));
+        },
+        async sweep() {
+            let removed = 0;
+            for (const [key, entry] of entries) {
+                if (entry.expiresAt < new Date()) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+const codeStore = process.env.CODE_STORE === 'memory' ? createMemoryCodeStore() : createSqlCodeStore();
+// Check a submitted code, counting every attempt and discarding expired or exhausted codes.
+// Resolves to { status: 'valid' | 'missing' | 'expired' | 'locked' | 'invalid', data }
+async function verifyCode(purpose, identifier, code) {
+    const entry = await codeStore.get(purpose, identifier);
+
+    if (!entry) {
+        return { status: 'missing' };
+    }
+
+    if (new Date() > entry.expiresAt) {
+        await codeStore.remove(purpose, identifier);
+        return { status: 'expired' };
+    }
+
+    if (!(await codeStore.useAttempt(purpose, identifier, MAX_CODE_ATTEMPTS))) {
+        await codeStore.remove(purpose, identifier);
+        return { status: 'locked' };
+    }
+
+    if (!code || !codeMatches(code, entry.codeHash)) {
+        return { status: 'invalid' };
+    }
+
+    return { status: 'valid', data: entry.data };
+}
+// Periodically remove expired codes
+function startCodeSweeper() {
+    const timer = setInterval(async () => {
+        try {
+            const removed = await codeStore.sweep();
+            if (removed > 0) {
+                console.log(`Removed ${removed} expired verification codes`);
+            }
+        } catch (err) {
+            console.error('Verification code sweep error:', err);
+        }
+    }, CODE_SWEEP_INTERVAL);
+    timer.unref();
+    return timer;
+}
 
 
 // Rate Limiter
@@ -176,7 +969,7 @@ const requestLimiter = rateLimit({ // try to apply this middleware
 });
 // Generate a 6-digit verification code
 function generateVerificationCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
 }
 
 
@@ -185,48 +978,416 @@ const app = express();
 app.use(bodyParser.json());
 
 
-/*NOTIFICATION*/
-// Fetch notifications for a user 
-app.get('/notifications/:userId', async (req, res) => {
-    const userId = parseInt(req.params.userId, 10);
-    
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
+/*AUTHENTICATION*/
+// Token configuration
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+// Issue a signed access/refresh token pair for a user
+function issueTokens(user) {
+    const accessToken = jwt.sign(
+        { userId: user.id, roleId: user.roleId, tokenVersion: user.tokenVersion || 0, type: 'access' },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+        { userId: user.id, roleId: user.roleId, tokenVersion: user.tokenVersion || 0, type: 'refresh' },
+        JWT_REFRESH_SECRET,
+        { expiresIn: REFRESH_TOKEN_TTL }
+    );
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresAt: new Date(exp * 1000).toISOString()
+    };
+}
+// Load the account state a token is checked against
+async function getSessionState(userId) {
+    const query = `
+        SELECT role_id, token_version
+        FROM user_credentials
+        WHERE user_id = @param0
+    `;
+    const params = [
+        { type: TYPES.Int, value: userId }
+    ];
+
+    const result = await executeQuery(query, params);
+    if (!result || !result[0]) {
+        return null;
     }
-    
-    try {
-      // Note the square brackets around 'read' to escape the reserved keyword
-      const query = `
-        SELECT notification_id, title, body, icon, icon_bg_color as iconBgColor,
-        type, data, timestamp, [read]
-        FROM user_notifications
+
+    return {
+        roleId: result[0][0].value,
+        tokenVersion: result[0][1].value
+    };
+}
+// Invalidate every access and refresh token issued to a user so far
+async function revokeSessions(userId, db = { executeQuery }) {
+    const query = `
+        UPDATE user_credentials
+        SET token_version = token_version + 1
         WHERE user_id = @param0
-        ORDER BY timestamp DESC
-      `;
-      
-      const params = [
+    `;
+    const params = [
         { type: TYPES.Int, value: userId }
-      ];
-      
-      const results = await executeQuery(query, params);
-      
-      const notifications = results.map(rowColumns => {
-        const row = {};
-        rowColumns.forEach(column => {
-          row[column.metadata.colName] = column;
-        });
-        
-        return {
-          id: row.notification_id.value,
-          title: row.title.value,
-          subtitle: row.body ? row.body.value : '',
-          icon: row.icon ? row.icon.value : 'bell',
-          iconBgColor: row.iconBgColor ? row.iconBgColor.value : 'gray',
-          iconColor: "white",
-          type: row.type ? row.type.value : 'general',
+    ];
+
+    await db.executeQuery(query, params);
+}
+// Require a valid access token in the Authorization header.
+// The account is re-read on every request so role changes and revoked sessions apply immediately.
+async function authenticateToken(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        const message = err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token';
+        return res.status(401).json({ message });
+    }
+
+    if (payload.type !== 'access') {
+        return res.status(401).json({ message: 'Invalid access token' });
+    }
+
+    try {
+        const session = await getSessionState(payload.userId);
+
+        if (!session || session.tokenVersion !== (payload.tokenVersion || 0)) {
+            return res.status(401).json({ message: 'Session is no longer valid' });
+        }
+
+        req.user = { id: payload.userId, roleId: session.roleId };
+        next();
+    } catch (err) {
+        console.error('Authentication error:', err);
+        res.status(500).json({ message: 'An error occurred during authentication' });
+    }
+}
+// Only let the authenticated user act on their own records
+function authorizeOwner(getUserId) {
+    return (req, res, next) => {
+        const userId = parseInt(getUserId(req), 10);
+
+        if (isNaN(userId)) {
+            return res.status(400).json({ message: 'Invalid user ID' });
+        }
+
+        if (userId !== req.user.id) {
+            return res.status(403).json({ message: 'You are not allowed to access this user' });
+        }
+
+        next();
+    };
+}
+const ownerFromParams = authorizeOwner(req => req.params.userId);
+const ownerFromBody = authorizeOwner(req => req.body.user_id);
+
+
+/*AUTHORIZATION*/
+// Roles stored in user_credentials.role_id
+const ROLES = {
+    FARMER: 1,
+    EXPERT: 2,
+    ADMIN: 3
+};
+const ROLE_NAMES = {
+    [ROLES.FARMER]: 'farmer',
+    [ROLES.EXPERT]: 'agronomist',
+    [ROLES.ADMIN]: 'admin'
+};
+const DEFAULT_ROLE_ID = ROLES.FARMER;
+// Only let users whose current role is listed call the route
+function authorizeRoles(...allowedRoles) {
+    return (req, res, next) => {
+        if (!allowedRoles.includes(req.user.roleId)) {
+            return res.status(403).json({ message: 'You do not have permission to perform this action' });
+        }
+
+        next();
+    };
+}
+const staffOnly = authorizeRoles(ROLES.EXPERT, ROLES.ADMIN);
+const adminOnly = authorizeRoles(ROLES.ADMIN);
+
+
+/*VALIDATION*/
+// Formats shared by the route schemas
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+// Check and coerce one value against its rule. Returns { value } or { error }.
+function checkField(value, rule) {
+    if (value === undefined || value === null || value === '') {
+        if (rule.required) {
+            return { error: 'is required' };
+        }
+        return { value: rule.default !== undefined ? rule.default : undefined };
+    }
+
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+        case 'phone':
+        case 'date': {
+            if (typeof value !== 'string') {
+                return { error: 'must be a string' };
+            }
+            let text = value.trim();
+            if (rule.type === 'phone') {
+                text = text.replace(/[\s()-]/g, '');
+            }
+            if (text === '' && rule.required) {
+                return { error: 'is required' };
+            }
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                return { error: `must be at least ${rule.minLength} characters` };
+            }
+            const maxLength = rule.maxLength !== undefined ? rule.maxLength : (rule.type === 'email' ? 255 : undefined);
+            if (maxLength !== undefined && text.length > maxLength) {
+                return { error: `must be at most ${maxLength} characters` };
+            }
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) {
+                return { error: 'must be a valid email address' };
+            }
+            if (rule.type === 'phone' && !PHONE_PATTERN.test(text)) {
+                return { error: 'must be a valid phone number' };
+            }
+            if (rule.type === 'date') {
+                const date = new Date(text);
+                if (!DATE_PATTERN.test(text) || isNaN(date.getTime())) {
+                    return { error: 'must be a date in YYYY-MM-DD format' };
+                }
+                if (rule.past && date > new Date()) {
+                    return { error: 'must not be in the future' };
+                }
+            }
+            if (rule.pattern && !rule.pattern.test(text)) {
+                return { error: rule.patternMessage || 'has an invalid format' };
+            }
+            if (rule.values && !rule.values.includes(text)) {
+                return { error: `must be one of: ${rule.values.join(', ')}` };
+            }
+            return { value: rule.trim === false ? value : text };
+        }
+        case 'int':
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: 'must be a number' };
+            }
+            if (rule.type === 'int' && !Number.isInteger(number)) {
+                return { error: 'must be an integer' };
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return { error: `must be at least ${rule.min}` };
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return { error: `must be at most ${rule.max}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            if (value === true || value === 'true' || value === 1 || value === '1') {
+                return { value: true };
+            }
+            if (value === false || value === 'false' || value === 0 || value === '0') {
+                return { value: false };
+            }
+            return { error: 'must be true or false' };
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { error: 'must be an object' };
+            }
+            if (!rule.fields) {
+                return { value };
+            }
+            const fields = {};
+            for (const [name, fieldRule] of Object.entries(rule.fields)) {
+                const field = checkField(value[name], fieldRule);
+                if (field.error) {
+                    return { error: `${name} ${field.error}` };
+                }
+                if (field.value !== undefined) {
+                    fields[name] = field.value;
+                }
+            }
+            return { value: fields };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { error: 'must be a list' };
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { error: `must contain at least ${rule.minItems} items` };
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return { error: `must contain at most ${rule.maxItems} items` };
+            }
+            if (!rule.items) {
+                return { value };
+            }
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const item = checkField(value[i], { required: true, ...rule.items });
+                if (item.error) {
+                    return { error: `item ${i} ${item.error}` };
+                }
+                items.push(item.value);
+            }
+            return { value: items };
+        }
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+}
+// Validate req.params, req.query and req.body against a schema of field rules,
+// replacing values with their coerced form. Fields not in the schema are left untouched.
+function validate(schema) {
+    return (req, res, next) => {
+        const errors = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            const rules = schema[location];
+            if (!rules) {
+                continue;
+            }
+
+            const source = req[location] && typeof req[location] === 'object' ? req[location] : {};
+            for (const [field, rule] of Object.entries(rules)) {
+                const result = checkField(source[field], rule);
+                if (result.error) {
+                    errors.push({ location, field, message: `${field} ${result.error}` });
+                } else if (result.value !== undefined) {
+                    source[field] = result.value;
+                }
+            }
+            req[location] = source;
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        next();
+    };
+}
+// Rules reused across routes
+const userIdRule = { type: 'int', required: true, min: 1 };
+const idRule = { type: 'int', required: true, min: 1 };
+const otpRule = { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code' };
+const passwordRule = { type: 'string', required: true, minLength: 8, maxLength: 128 };
+
+
+/*LOCALIZATION*/
+// Languages the knowledge base can be served in. English lives in the base tables
+// and is the fallback for anything without a translation.
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = {
+    en: 'English',
+    fil: 'Filipino',
+    ceb: 'Cebuano',
+    ilo: 'Ilocano'
+};
+const TRANSLATION_LANGUAGES = Object.keys(SUPPORTED_LANGUAGES).filter(code => code !== DEFAULT_LANGUAGE);
+const LANGUAGE_ALIASES = { tl: 'fil' };
+// Query rule for the lang override accepted by localized endpoints
+const langRule = { type: 'string', maxLength: 35 };
+// Map a language tag such as "fil-PH" or "tl" to a supported code, or null
+function normalizeLanguage(tag) {
+    const primary = String(tag).trim().toLowerCase().split('-')[0];
+    const code = LANGUAGE_ALIASES[primary] || primary;
+    return SUPPORTED_LANGUAGES[code] ? code : null;
+}
+// Pick the response language: the lang query parameter, then Accept-Language by quality, then English
+function resolveLanguage(req) {
+    if (req.query.lang) {
+        const code = normalizeLanguage(req.query.lang);
+        if (code) {
+            return code;
+        }
+    }
+
+    const header = req.get('Accept-Language');
+    if (header) {
+        const ranked = header.split(',')
+            .map((part, index) => {
+                const [tag, ...options] = part.split(';').map(piece => piece.trim());
+                const quality = options.find(option => option.startsWith('q='));
+                return { tag, index, q: quality ? parseFloat(quality.slice(2)) : 1 };
+            })
+            .filter(entry => entry.tag && entry.q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index);
+
+        for (const entry of ranked) {
+            const code = normalizeLanguage(entry.tag);
+            if (code) {
+                return code;
+            }
+        }
+    }
+
+    return DEFAULT_LANGUAGE;
+}
+
+
+/*NOTIFICATION*/
+// Fetch notifications for a user 
+app.get('/notifications/:userId', authenticateToken, validate({
+    params: { userId: userIdRule }
+}), ownerFromParams, async (req, res) => {
+    const userId = req.params.userId;
+    
+    try {
+      // Note the square brackets around 'read' to escape the reserved keyword
+      const query = `
+        SELECT notification_id, title, body, icon, icon_bg_color as iconBgColor,
+        type, data, timestamp, [read], delivery_status
+        FROM user_notifications
+        WHERE user_id = @param0
+        ORDER BY timestamp DESC
+      `;
+      
+      const params = [
+        { type: TYPES.Int, value: userId }
+      ];
+      
+      const results = await executeQuery(query, params);
+      
+      const notifications = results.map(rowColumns => {
+        const row = {};
+        rowColumns.forEach(column => {
+          row[column.metadata.colName] = column;
+        });
+        
+        return {
+          id: row.notification_id.value,
+          title: row.title.value,
+          subtitle: row.body ? row.body.value : '',
+          icon: row.icon ? row.icon.value : 'bell',
+          iconBgColor: row.iconBgColor ? row.iconBgColor.value : 'gray',
+          iconColor: "white",
+          type: row.type ? row.type.value : 'general',
           timestamp: row.timestamp ? new Date(row.timestamp.value).getTime() : Date.now(),
           read: row['read'] ? row['read'].value === true : false,
-          data: row.data && row.data.value ? JSON.parse(row.data.value) : {}
+          data: row.data && row.data.value ? JSON.parse(row.data.value) : {},
+          deliveryStatus: row.delivery_status ? row.delivery_status.value : null
         };
       });
       
@@ -237,17 +1398,14 @@ app.get('/notifications/:userId', async (req, res) => {
     }
   });
 // Mark all notifications as read or unread for a user
-app.put('/notifications-all/:userId/:status', async (req, res) => {
-    const userId = parseInt(req.params.userId, 10);
-    const status = req.params.status; // 'read-all' or 'unread-all'
-    
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-    
-    if (status !== 'read-all' && status !== 'unread-all') {
-      return res.status(400).json({ error: 'Invalid status parameter. Use read-all or unread-all' });
+app.put('/notifications-all/:userId/:status', authenticateToken, validate({
+    params: {
+        userId: userIdRule,
+        status: { type: 'string', required: true, values: ['read-all', 'unread-all'] }
     }
+}), ownerFromParams, async (req, res) => {
+    const userId = req.params.userId;
+    const status = req.params.status; // 'read-all' or 'unread-all'
     
     try {
       const readValue = status === 'read-all' ? 1 : 0;
@@ -279,17 +1437,14 @@ app.put('/notifications-all/:userId/:status', async (req, res) => {
     }
 });
 // Mark notification as read or unread
-app.put('/notifications-user/:notificationId/:status', async (req, res) => {
-    const notificationId = parseInt(req.params.notificationId, 10);
-    const status = req.params.status; // 'read' or 'unread'
-    
-    if (isNaN(notificationId)) {
-      return res.status(400).json({ error: 'Invalid notification ID' });
-    }
-    
-    if (status !== 'read' && status !== 'unread') {
-      return res.status(400).json({ error: 'Invalid status parameter. Use read or unread' });
+app.put('/notifications-user/:notificationId/:status', authenticateToken, validate({
+    params: {
+        notificationId: idRule,
+        status: { type: 'string', required: true, values: ['read', 'unread'] }
     }
+}), async (req, res) => {
+    const notificationId = req.params.notificationId;
+    const status = req.params.status; // 'read' or 'unread'
     
     try {
       const readValue = status === 'read' ? 1 : 0;
@@ -297,15 +1452,22 @@ app.put('/notifications-user/:notificationId/:status', async (req, res) => {
       const query = `
         UPDATE user_notifications
         SET [read] = @param1
-        WHERE notification_id = @param0
+        WHERE notification_id = @param0 AND user_id = @param2;
+
+        SELECT @@ROWCOUNT as affected;
       `;
       
       const params = [
         { type: TYPES.Int, value: notificationId },
-        { type: TYPES.Bit, value: readValue }
+        { type: TYPES.Bit, value: readValue },
+        { type: TYPES.Int, value: req.user.id }
       ];
       
-      await executeQuery(query, params);
+      const result = await executeQuery(query, params);
+      
+      if (result[0][0].value === 0) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
       
       const message = status === 'read' ? 
         'Notification marked as read' : 
@@ -321,12 +1483,18 @@ app.put('/notifications-user/:notificationId/:status', async (req, res) => {
     }
 });
 // Store notification for a user
-app.post('/store-notification', async (req, res) => {
-    const { user_id, title, body, data, icon, icon_bg_color, type } = req.body;
-  
-    if (!user_id || !title) {
-      return res.status(400).json({ error: 'User ID and title are required' });
+app.post('/store-notification', authenticateToken, staffOnly, validate({
+    body: {
+        user_id: userIdRule,
+        title: { type: 'string', required: true, maxLength: 255 },
+        body: { type: 'string', maxLength: 2000 },
+        data: { type: 'object' },
+        icon: { type: 'string', maxLength: 50 },
+        icon_bg_color: { type: 'string', maxLength: 50 },
+        type: { type: 'string', maxLength: 50 }
     }
+}), async (req, res) => {
+    const { user_id, title, body, data, icon, icon_bg_color, type } = req.body;
   
     try {
       const query = `
@@ -353,20 +1521,35 @@ app.post('/store-notification', async (req, res) => {
     }
   });
 // Delete a notification
-app.delete('/notifications/:notificationId', async (req, res) => {
+app.delete('/notifications/:notificationId', authenticateToken, validate({
+    params: { notificationId: idRule }
+}), async (req, res) => {
     const notificationId = req.params.notificationId;
     
     try {
       const query = `
+        DELETE FROM push_tickets
+        WHERE notification_id IN (
+          SELECT notification_id FROM user_notifications
+          WHERE notification_id = @param0 AND user_id = @param1
+        );
+
         DELETE FROM user_notifications
-        WHERE notification_id = @param0
+        WHERE notification_id = @param0 AND user_id = @param1;
+
+        SELECT @@ROWCOUNT as affected;
       `;
       
       const params = [
-        { type: TYPES.Int, value: notificationId }
+        { type: TYPES.Int, value: notificationId },
+        { type: TYPES.Int, value: req.user.id }
       ];
       
-      await executeQuery(query, params);
+      const result = await executeQuery(query, params);
+      
+      if (result[0][0].value === 0) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
       
       res.status(200).json({ message: 'Notification deleted' });
     } catch (error) {
@@ -375,11 +1558,16 @@ app.delete('/notifications/:notificationId', async (req, res) => {
     }
   });
 // Delete all notifications for a user
-app.delete('/notifications/:userId/clear', async (req, res) => {
+app.delete('/notifications/:userId/clear', authenticateToken, validate({
+    params: { userId: userIdRule }
+}), ownerFromParams, async (req, res) => {
     const userId = req.params.userId;
     
     try {
       const query = `
+        DELETE FROM push_tickets
+        WHERE user_id = @param0;
+
         DELETE FROM user_notifications
         WHERE user_id = @param0
       `;
@@ -398,244 +1586,1270 @@ app.delete('/notifications/:userId/clear', async (req, res) => {
   });
 
 
-/*PUSH NOTIFICATION*/
-// Register push token (modified to associate with user_id)
-app.post('/token', async (req, res) => {
-    const { token, user_id } = req.body;
-    
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
+/*NOTIFICATION PREFERENCES*/
+// Notification types users can configure. Any other type follows the "general" setting.
+const NOTIFICATION_TYPES = ['general', 'broadcast', 'outbreak', 'scan_review'];
+// push: in-app and push, in_app: stored without a push, off: not delivered at all
+const NOTIFICATION_CHANNELS = ['push', 'in_app', 'off'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Manila';
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Most ids bound into one IN (...) list; SQL Server accepts about 2100 parameters per request
+const MAX_IDS_PER_QUERY = 500;
+function chunkIds(ids) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += MAX_IDS_PER_QUERY) {
+        chunks.push(ids.slice(i, i + MAX_IDS_PER_QUERY));
     }
-    
-    if (!token || !Expo.isExpoPushToken(token)) {
-      return res.status(400).json({ error: 'Invalid Expo push token' });
+    return chunks;
+}
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
     }
-  
+}
+function defaultNotificationPreferences() {
+    const types = {};
+    NOTIFICATION_TYPES.forEach(type => {
+        types[type] = 'push';
+    });
+    return { pushEnabled: true, quietHours: null, timezone: DEFAULT_TIMEZONE, types };
+}
+// Preferences for a set of users, keyed by user id, with defaults for anything not set
+async function getNotificationPreferences(userIds) {
+    const preferences = new Map(userIds.map(userId => [userId, defaultNotificationPreferences()]));
+
+    for (const ids of chunkIds(userIds)) {
+        const placeholders = ids.map((id, index) => `@param${index}`).join(', ');
+        const params = ids.map(id => ({ type: TYPES.Int, value: id }));
+
+        const settings = await executeQuery(`
+            SELECT user_id, push_enabled, quiet_hours_start, quiet_hours_end, timezone
+            FROM user_notification_settings
+            WHERE user_id IN (${placeholders})
+        `, params);
+        settings.forEach(row => {
+            const preference = preferences.get(row[0].value);
+            preference.pushEnabled = Boolean(row[1].value);
+            preference.quietHours = row[2].value && row[3].value ? { start: row[2].value, end: row[3].value } : null;
+            preference.timezone = row[4].value;
+        });
+
+        const types = await executeQuery(`
+            SELECT user_id, type, channel
+            FROM user_notification_preferences
+            WHERE user_id IN (${placeholders})
+        `, params);
+        types.forEach(row => {
+            preferences.get(row[0].value).types[row[1].value] = row[2].value;
+        });
+    }
+    return preferences;
+}
+// Whether "now" falls inside the user's quiet hours; ranges may wrap past midnight
+function inQuietHours(preference, now = new Date()) {
+    if (!preference.quietHours) {
+        return false;
+    }
+
+    const toMinutes = time => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: preference.timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const current = parseInt(parts.find(part => part.type === 'hour').value, 10) * 60 +
+        parseInt(parts.find(part => part.type === 'minute').value, 10);
+    const start = toMinutes(preference.quietHours.start);
+    const end = toMinutes(preference.quietHours.end);
+
+    if (start === end) {
+        return false;
+    }
+    return start < end ? current >= start && current < end : current >= start || current < end;
+}
+// Decide how a notification of this type reaches the user: { store, push, reason }.
+// reason explains a skipped push: opted_out, in_app_only, push_disabled or quiet_hours.
+function notificationDelivery(preference, type, now = new Date()) {
+    const channel = preference.types[NOTIFICATION_TYPES.includes(type) ? type : 'general'];
+
+    if (channel === 'off') {
+        return { store: false, push: false, reason: 'opted_out' };
+    }
+    if (channel === 'in_app') {
+        return { store: true, push: false, reason: 'in_app_only' };
+    }
+    if (!preference.pushEnabled) {
+        return { store: true, push: false, reason: 'push_disabled' };
+    }
+    if (inQuietHours(preference, now)) {
+        return { store: true, push: false, reason: 'quiet_hours' };
+    }
+    return { store: true, push: true, reason: null };
+}
+// Get a user's notification preferences
+app.get('/notification-preferences/:userId', authenticateToken, validate({
+    params: { userId: userIdRule }
+}), ownerFromParams, async (req, res) => {
     try {
-      // First check if user exists and what their current token is
-      const checkQuery = `
-        SELECT push_token
-        FROM user_credentials 
-        WHERE user_id = @param0
-      `;
-      
-      const checkParams = [
-        { type: TYPES.Int, value: user_id }
-      ];
-      
-      const results = await executeQuery(checkQuery, checkParams);
-      
-      if (results.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-      
-      // Get current token (might be null)
-      const currentToken = results[0].push_token ? results[0].push_token.value : null;
-      
-      // If token is the same, no need to update
-      if (currentToken === token) {
-        return res.status(200).json({ message: 'Token already registered for this user' });
-      }
-      
-      // Update token regardless of whether it was null or had a different value
-      const updateQuery = `
-        UPDATE user_credentials 
-        SET push_token = @param0
-        WHERE user_id = @param1
-      `;
-      
-      const updateParams = [
-        { type: TYPES.VarChar, value: token },
-        { type: TYPES.Int, value: user_id }
-      ];
-      
-      await executeQuery(updateQuery, updateParams);
-      
-      res.status(200).json({ 
-        message: currentToken ? 'Push token updated successfully' : 'Push token registered successfully' 
-      });
+        const preferences = await getNotificationPreferences([req.params.userId]);
+        res.json({ success: true, data: preferences.get(req.params.userId) });
     } catch (error) {
-      console.error('Error registering/updating token:', error);
-      res.status(500).json({ error: 'Failed to register/update token' });
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch notification preferences' });
     }
 });
-// Send notification to a specific user
-app.post('/notify', async (req, res) => {
-    const { user_id, title, body, data } = req.body;
-  
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
+// Update a user's notification preferences. Fields left out keep their value;
+// quietHours: null turns quiet hours off.
+app.put('/notification-preferences/:userId', authenticateToken, validate({
+    params: { userId: userIdRule },
+    body: {
+        pushEnabled: { type: 'boolean' },
+        timezone: { type: 'string', maxLength: 64 },
+        quietHours: {
+            type: 'object',
+            fields: {
+                start: { type: 'string', required: true, pattern: TIME_OF_DAY_PATTERN, patternMessage: 'must be a time in HH:MM format' },
+                end: { type: 'string', required: true, pattern: TIME_OF_DAY_PATTERN, patternMessage: 'must be a time in HH:MM format' }
+            }
+        },
+        types: {
+            type: 'object',
+            fields: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'string', values: NOTIFICATION_CHANNELS }]))
+        }
     }
-  
+}), ownerFromParams, async (req, res) => {
+    const userId = req.params.userId;
+    const { pushEnabled, timezone, quietHours, types } = req.body;
+
+    if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'timezone', message: 'timezone must be an IANA timezone such as Asia/Manila' }]
+        });
+    }
+
     try {
-      // Store the notification in the database regardless of push token
-      const storeQuery = `
-        INSERT INTO user_notifications (user_id, title, body, data, icon, icon_bg_color, type)
-        VALUES (@param0, @param1, @param2, @param3, @param4, @param5, @param6)
-      `;
-      
-      const storeParams = [
-        { type: TYPES.Int, value: user_id },
-        { type: TYPES.NVarChar, value: title },
-        { type: TYPES.NVarChar, value: body || '' },
-        { type: TYPES.NVarChar, value: data ? JSON.stringify(data) : null },
-        { type: TYPES.NVarChar, value: data?.icon || 'bell' },
-        { type: TYPES.NVarChar, value: data?.iconBgColor || 'gray' },
-        { type: TYPES.NVarChar, value: data?.type || 'general' }
-      ];
-      
-      await executeQuery(storeQuery, storeParams);
-      
-      // Get the user's push token from database
-      const tokenQuery = `
-        SELECT push_token 
-        FROM user_credentials 
-        WHERE user_id = @param0 AND push_token IS NOT NULL
-      `;
-      
-      const tokenParams = [
-        { type: TYPES.Int, value: user_id }
-      ];
-      
-      const results = await executeQuery(tokenQuery, tokenParams);
-      
-      // If user has a push token, also send via Expo
-      if (results.length > 0 && results[0].push_token && results[0].push_token.value) {
-        const token = results[0].push_token.value;
-        
-        if (Expo.isExpoPushToken(token)) {
-          const messages = [{
-            to: token,
-            sound: 'default',
-            title: title || 'New Notification',
-            body: body || 'You have a new notification',
-            data: data || {}
-          }];
-  
-          const chunks = expo.chunkPushNotifications(messages);
-          const tickets = [];
-  
-          for (let chunk of chunks) {
-            try {
-              const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-              tickets.push(...ticketChunk);
-            } catch (error) {
-              console.error('Error sending chunk:', error);
-            }
-          }
-          
-          res.status(200).json({ 
-            message: 'Notification sent and stored successfully',
-            pushedToDevice: true,
-            tickets 
-          });
-        } else {
-          res.status(200).json({ 
-            message: 'Notification stored successfully, but push token is invalid',
-            pushedToDevice: false
-          });
-        }
-      } else {
-        res.status(200).json({ 
-          message: 'Notification stored successfully (no push token found)',
-          pushedToDevice: false
+        const current = (await getNotificationPreferences([userId])).get(userId);
+        const updated = {
+            pushEnabled: pushEnabled !== undefined ? pushEnabled : current.pushEnabled,
+            timezone: timezone || current.timezone,
+            quietHours: quietHours === null ? null : (quietHours || current.quietHours),
+            types: { ...current.types, ...(types || {}) }
+        };
+
+        await withTransaction(async (tx) => {
+            await tx.executeQuery(`
+                DELETE FROM user_notification_settings WHERE user_id = @param0
+            `, [
+                { type: TYPES.Int, value: userId }
+            ]);
+            await tx.executeQuery(`
+                INSERT INTO user_notification_settings (
+                    user_id, push_enabled, quiet_hours_start, quiet_hours_end, timezone, updated_at
+                ) VALUES (@param0, @param1, @param2, @param3, @param4, GETDATE())
+            `, [
+                { type: TYPES.Int, value: userId },
+                { type: TYPES.Bit, value: updated.pushEnabled },
+                { type: TYPES.NVarChar, value: updated.quietHours ? updated.quietHours.start : null },
+                { type: TYPES.NVarChar, value: updated.quietHours ? updated.quietHours.end : null },
+                { type: TYPES.NVarChar, value: updated.timezone }
+            ]);
+
+            await tx.executeQuery(`
+                DELETE FROM user_notification_preferences WHERE user_id = @param0
+            `, [
+                { type: TYPES.Int, value: userId }
+            ]);
+
+            const params = [
+                { type: TYPES.Int, value: userId }
+            ];
+            const rows = Object.entries(updated.types).map(([type, channel]) => {
+                params.push({ type: TYPES.NVarChar, value: type }, { type: TYPES.NVarChar, value: channel });
+                return `(@param0, @param${params.length - 2}, @param${params.length - 1})`;
+            });
+            await tx.executeQuery(`
+                INSERT INTO user_notification_preferences (user_id, type, channel)
+                VALUES ${rows.join(', ')}
+            `, params);
         });
-      }
+
+        res.json({ success: true, message: 'Notification preferences updated', data: updated });
     } catch (error) {
-      console.error('Error processing notification:', error);
-      res.status(500).json({ error: 'Failed to process notification' });
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ success: false, message: 'Failed to update notification preferences' });
     }
-  });
-// Broadcast notification to all users
-app.post('/broadcast', async (req, res) => {
-    const { title, body, data } = req.body;
-  
-    try {
-      // Get all valid push tokens from the database
-      const query = `
-        SELECT push_token 
-        FROM user_credentials 
-        WHERE push_token IS NOT NULL
-      `;
-      
-      const results = await executeQuery(query, []);
-      
-      const tokens = results
-        .map(row => row.push_token.value)
-        .filter(token => token && Expo.isExpoPushToken(token));
-      
-      if (tokens.length === 0) {
-        return res.status(400).json({ error: 'No valid tokens registered' });
-      }
-  
-      const messages = tokens.map(token => ({
-        to: token,
-        sound: 'default',
-        title: title || 'Broadcast Notification',
-        body: body || 'You have a new broadcast notification',
-        data: data || {}
-      }));
-  
-      const chunks = expo.chunkPushNotifications(messages);
-      const tickets = [];
-  
-      for (let chunk of chunks) {
-        try {
-          const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-          tickets.push(...ticketChunk);
-        } catch (error) {
-          console.error('Error sending chunk:', error);
-        }
+});
+
+
+/*PUSH NOTIFICATION*/
+// How often Expo receipts are fetched for sent pushes, and how long a ticket waits for its
+// receipt before it is marked 'unknown' (Expo keeps receipts for about a day)
+const PUSH_RECEIPT_CHECK_INTERVAL = parseInt(process.env.PUSH_RECEIPT_CHECK_INTERVAL, 10) || 15 * 60 * 1000;
+const PUSH_RECEIPT_MAX_AGE = parseInt(process.env.PUSH_RECEIPT_MAX_AGE, 10) || 24 * 60 * 60 * 1000;
+// Tickets fetched per receipt check
+const PUSH_RECEIPT_BATCH_SIZE = parseInt(process.env.PUSH_RECEIPT_BATCH_SIZE, 10) || 1000;
+// Expo errors meaning the token will never work again
+const DEAD_TOKEN_ERRORS = ['DeviceNotRegistered'];
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+// Devices that have not registered in this many days no longer get pushes
+const DEVICE_INACTIVE_DAYS = parseInt(process.env.DEVICE_INACTIVE_DAYS, 10) || 180;
+// Stop pushing to tokens Expo reported as dead; the app registers a new one on next launch
+async function pruneDeadTokens(tokens) {
+    let pruned = 0;
+    for (const token of new Set(tokens)) {
+        const result = await executeQuery(`
+            DELETE FROM user_devices
+            WHERE push_token = @param0;
+
+            SELECT @@ROWCOUNT AS affected;
+        `, [
+            { type: TYPES.VarChar, value: token }
+        ]);
+        pruned += result[0][0].value;
+    }
+    if (pruned > 0) {
+        console.log(`Removed ${pruned} push tokens that Expo reported as no longer registered`);
+    }
+    return pruned;
+}
+// Recompute user_notifications.delivery_status from the notifications' push tickets:
+// delivered if any device got it, otherwise sent (waiting for a receipt), unknown or failed
+async function updateDeliveryStatus(notificationIds) {
+    for (const chunk of chunkIds([...new Set(notificationIds)])) {
+        const ticketStatus = status => `EXISTS (
+            SELECT 1 FROM push_tickets pt
+            WHERE pt.notification_id = user_notifications.notification_id AND pt.status = '${status}'
+        )`;
+        await executeQuery(`
+            UPDATE user_notifications
+            SET delivery_status = CASE
+                WHEN ${ticketStatus('delivered')} THEN 'delivered'
+                WHEN ${ticketStatus('sent')} THEN 'sent'
+                WHEN ${ticketStatus('unknown')} THEN 'unknown'
+                ELSE 'failed'
+            END
+            WHERE notification_id IN (${chunk.map((id, index) => `@param${index}`).join(', ')})
+        `, chunk.map(id => ({ type: TYPES.Int, value: id })));
+    }
+}
+// Send pushes ({ recipient, token, message }) through Expo and record a ticket for each.
+// Recipients whose messages Expo rejected on every device are marked as not pushed.
+async function sendPushes(pushes) {
+    const tickets = [];
+    const deadTokens = [];
+    let offset = 0;
+
+    for (const chunk of expo.chunkPushNotifications(pushes.map(push => push.message))) {
+        const batch = pushes.slice(offset, offset + chunk.length);
+        offset += chunk.length;
+
+        let ticketChunk;
+        try {
+            ticketChunk = await expo.sendPushNotificationsAsync(chunk);
+            tickets.push(...ticketChunk);
+        } catch (error) {
+            console.error('Error sending chunk:', error);
+            ticketChunk = batch.map(() => ({ status: 'error', message: error.message }));
+        }
+
+        const params = [];
+        const rows = batch.map((push, index) => {
+            const ticket = ticketChunk[index];
+            const error = ticket.status === 'ok' ? null : (ticket.details && ticket.details.error) || null;
+            if (ticket.status === 'ok') {
+                push.recipient.devices++;
+            }
+            if (DEAD_TOKEN_ERRORS.includes(error)) {
+                deadTokens.push(push.token);
+            }
+            params.push(
+                { type: TYPES.Int, value: push.recipient.notificationId },
+                { type: TYPES.Int, value: push.recipient.userId },
+                { type: TYPES.VarChar, value: push.token },
+                { type: TYPES.NVarChar, value: ticket.status === 'ok' ? ticket.id : null },
+                { type: TYPES.NVarChar, value: ticket.status === 'ok' ? 'sent' : 'failed' },
+                { type: TYPES.NVarChar, value: error },
+                { type: TYPES.NVarChar, value: ticket.status === 'ok' ? null : ticket.message || null }
+            );
+            const first = params.length - 7;
+            return `(${[0, 1, 2, 3, 4, 5, 6].map(column => `@param${first + column}`).join(', ')})`;
+        });
+        await executeQuery(`
+            INSERT INTO push_tickets (notification_id, user_id, push_token, ticket_id, status, error, error_message)
+            VALUES ${rows.join(', ')}
+        `, params);
+    }
+
+    pushes.forEach(push => {
+        if (push.recipient.devices === 0) {
+            push.recipient.push = false;
+            push.recipient.reason = 'push_failed';
+        }
+    });
+
+    await updateDeliveryStatus(pushes.map(push => push.recipient.notificationId));
+    await pruneDeadTokens(deadTokens);
+    return tickets;
+}
+// Fetch Expo receipts for pushes still waiting on one and record the outcome. Tokens Expo
+// reports as no longer registered are removed. Tickets never checked go first, then those
+// checked longest ago, so tickets still waiting do not hold back newer ones.
+// Resolves to a summary of the run.
+async function checkPushReceipts() {
+    const summary = { checked: 0, delivered: 0, failed: 0, unknown: 0, prunedTokens: 0 };
+
+    const rows = await executeQuery(`
+        SELECT push_ticket_id, notification_id, push_token, ticket_id, created_at
+        FROM push_tickets
+        WHERE status = 'sent' AND ticket_id IS NOT NULL
+        ORDER BY CASE WHEN checked_at IS NULL THEN 0 ELSE 1 END, checked_at, created_at
+        OFFSET 0 ROWS FETCH NEXT @param0 ROWS ONLY
+    `, [
+        { type: TYPES.Int, value: PUSH_RECEIPT_BATCH_SIZE }
+    ]);
+    if (rows.length === 0) {
+        return summary;
+    }
+
+    const tickets = new Map(rows.map(row => [row[3].value, {
+        id: row[0].value,
+        notificationId: row[1].value,
+        token: row[2].value,
+        createdAt: new Date(row[4].value)
+    }]));
+    const expiredBefore = new Date(Date.now() - PUSH_RECEIPT_MAX_AGE);
+    const deadTokens = [];
+    const changed = [];
+    const waiting = [];
+
+    for (const chunk of expo.chunkPushNotificationReceiptIds([...tickets.keys()])) {
+        let receipts;
+        try {
+            receipts = await expo.getPushNotificationReceiptsAsync(chunk);
+        } catch (error) {
+            console.error('Error fetching push receipts:', error);
+            waiting.push(...chunk.map(receiptId => tickets.get(receiptId).id));
+            continue;
+        }
+
+        for (const receiptId of chunk) {
+            const ticket = tickets.get(receiptId);
+            const receipt = receipts[receiptId];
+            summary.checked++;
+
+            let status;
+            let error = null;
+            let message = null;
+            if (receipt && receipt.status === 'ok') {
+                status = 'delivered';
+            } else if (receipt) {
+                status = 'failed';
+                error = (receipt.details && receipt.details.error) || null;
+                message = receipt.message || null;
+                if (DEAD_TOKEN_ERRORS.includes(error)) {
+                    deadTokens.push(ticket.token);
+                }
+            } else if (ticket.createdAt < expiredBefore) {
+                status = 'unknown';
+            } else {
+                // Expo has not produced the receipt yet
+                waiting.push(ticket.id);
+                continue;
+            }
+
+            await executeQuery(`
+                UPDATE push_tickets
+                SET status = @param1, error = @param2, error_message = @param3, checked_at = GETDATE()
+                WHERE push_ticket_id = @param0
+            `, [
+                { type: TYPES.Int, value: ticket.id },
+                { type: TYPES.NVarChar, value: status },
+                { type: TYPES.NVarChar, value: error },
+                { type: TYPES.NVarChar, value: message }
+            ]);
+            summary[status]++;
+            changed.push(ticket.notificationId);
+        }
+    }
+
+    // Move tickets still waiting to the back of the line
+    for (const chunk of chunkIds(waiting)) {
+        await executeQuery(`
+            UPDATE push_tickets
+            SET checked_at = GETDATE()
+            WHERE push_ticket_id IN (${chunk.map((id, index) => `@param${index}`).join(', ')})
+        `, chunk.map(id => ({ type: TYPES.Int, value: id })));
+    }
+
+    await updateDeliveryStatus(changed);
+    summary.prunedTokens = await pruneDeadTokens(deadTokens);
+    return summary;
+}
+// Check receipts periodically, skipping a run while the previous one is still going
+let pushReceiptCheckRunning = false;
+function startPushReceiptChecker() {
+    const timer = setInterval(async () => {
+        if (pushReceiptCheckRunning) {
+            return;
+        }
+        pushReceiptCheckRunning = true;
+        try {
+            const summary = await checkPushReceipts();
+            if (summary.failed > 0 || summary.unknown > 0) {
+                console.log('Push receipt check:', summary);
+            }
+        } catch (err) {
+            console.error('Push receipt check error:', err);
+        } finally {
+            pushReceiptCheckRunning = false;
+        }
+    }, PUSH_RECEIPT_CHECK_INTERVAL);
+    timer.unref();
+    return timer;
+}
+// Deliver one notification to a set of users following their preferences: it is stored
+// in-app unless they opted out of its type, and pushed when their settings allow it.
+// Pushes go to every active device of a recipient. Notifications sent as part of a
+// broadcast campaign are tagged with its campaignId.
+// Resolves to { recipients: [{ userId, notificationId, stored, pushed, devices, reason }], tickets },
+// where devices counts the devices Expo accepted the push for and reason says why a
+// recipient got no push (see notificationDelivery, plus no_token, invalid_token and push_failed).
+async function deliverNotification(userIds, { title, body, data }, { campaignId = null } = {}) {
+    const type = data?.type || 'general';
+    const ids = [...new Set(userIds)];
+    const preferences = await getNotificationPreferences(ids);
+    const recipients = ids.map(userId => ({ userId, ...notificationDelivery(preferences.get(userId), type) }));
+
+    // Store the notification for everyone who has not opted out of this type, one insert
+    // per chunk of recipients; the content is bound once and shared by every row
+    const byUserId = new Map(recipients.map(recipient => [recipient.userId, recipient]));
+    const storeIds = recipients.filter(recipient => recipient.store).map(recipient => recipient.userId);
+    for (const chunk of chunkIds(storeIds)) {
+        const results = await executeQuery(`
+            INSERT INTO user_notifications (user_id, title, body, data, icon, icon_bg_color, type, campaign_id)
+            OUTPUT INSERTED.notification_id, INSERTED.user_id
+            VALUES ${chunk.map((id, index) => `(@param${index + 7}, @param0, @param1, @param2, @param3, @param4, @param5, @param6)`).join(', ')}
+        `, [
+            { type: TYPES.NVarChar, value: title },
+            { type: TYPES.NVarChar, value: body || '' },
+            { type: TYPES.NVarChar, value: data ? JSON.stringify(data) : null },
+            { type: TYPES.NVarChar, value: data?.icon || 'bell' },
+            { type: TYPES.NVarChar, value: data?.iconBgColor || 'gray' },
+            { type: TYPES.NVarChar, value: type },
+            { type: TYPES.Int, value: campaignId },
+            ...chunk.map(userId => ({ type: TYPES.Int, value: userId }))
+        ]);
+        results.forEach(row => {
+            byUserId.get(row[1].value).notificationId = row[0].value;
+        });
+    }
+
+    // Look up the active devices of the recipients whose settings allow a push
+    const tokens = new Map();
+    const pushIds = recipients.filter(recipient => recipient.push).map(recipient => recipient.userId);
+    const activeSince = new Date(Date.now() - DEVICE_INACTIVE_DAYS * 24 * 60 * 60 * 1000);
+    for (const chunk of chunkIds(pushIds)) {
+        const results = await executeQuery(`
+            SELECT user_id, push_token
+            FROM user_devices
+            WHERE last_seen_at >= @param0 AND user_id IN (${chunk.map((id, index) => `@param${index + 1}`).join(', ')})
+        `, [
+            { type: TYPES.DateTime2, value: activeSince },
+            ...chunk.map(userId => ({ type: TYPES.Int, value: userId }))
+        ]);
+        results.forEach(row => {
+            tokens.set(row[0].value, [...(tokens.get(row[0].value) || []), row[1].value]);
+        });
+    }
+
+    const pushes = [];
+    recipients.filter(recipient => recipient.push).forEach(recipient => {
+        const userTokens = tokens.get(recipient.userId) || [];
+        const validTokens = userTokens.filter(token => Expo.isExpoPushToken(token));
+        recipient.devices = 0;
+        if (userTokens.length === 0) {
+            recipient.push = false;
+            recipient.reason = 'no_token';
+        } else if (validTokens.length === 0) {
+            recipient.push = false;
+            recipient.reason = 'invalid_token';
+        }
+        validTokens.forEach(token => {
+            pushes.push({
+                recipient,
+                token,
+                message: {
+                    to: token,
+                    sound: 'default',
+                    title: title || 'New Notification',
+                    body: body || 'You have a new notification',
+                    data: { ...(data || {}), notificationId: recipient.notificationId }
+                }
+            });
+        });
+    });
+
+    const tickets = pushes.length > 0 ? await sendPushes(pushes) : [];
+
+    return {
+        recipients: recipients.map(recipient => ({
+            userId: recipient.userId,
+            notificationId: recipient.notificationId || null,
+            stored: recipient.store,
+            pushed: recipient.push,
+            devices: recipient.devices || 0,
+            reason: recipient.reason
+        })),
+        tickets
+    };
+}
+// Deliver a notification to a single user.
+// Resolves to { notificationId, stored, pushedToDevice, reason, tickets }.
+async function sendUserNotification(userId, notification) {
+    const { recipients, tickets } = await deliverNotification([userId], notification);
+    return {
+        notificationId: recipients[0].notificationId,
+        stored: recipients[0].stored,
+        pushedToDevice: recipients[0].pushed,
+        reason: recipients[0].reason,
+        tickets
+    };
+}
+// Recipients that did not get a push, with the reason, for route responses
+function skippedRecipients(recipients) {
+    return recipients
+        .filter(recipient => !recipient.pushed)
+        .map(recipient => ({ userId: recipient.userId, stored: recipient.stored, reason: recipient.reason }));
+}
+function toDevice(row) {
+    return {
+        id: row[0].value,
+        platform: row[1].value,
+        appVersion: row[2].value,
+        createdAt: row[3].value,
+        lastSeenAt: row[4].value
+    };
+}
+// Register a device's push token for a user, or refresh it when it is already registered.
+// A token registered to another user moves to this one. Resolves to { device, created }.
+async function registerDevice(userId, { token, platform, appVersion }) {
+    const params = [
+        { type: TYPES.Int, value: userId },
+        { type: TYPES.VarChar, value: token },
+        { type: TYPES.NVarChar, value: platform || null },
+        { type: TYPES.NVarChar, value: appVersion || null }
+    ];
+
+    let created = true;
+    try {
+        await executeQuery(`
+            INSERT INTO user_devices (user_id, push_token, platform, app_version)
+            VALUES (@param0, @param1, @param2, @param3)
+        `, params);
+    } catch (err) {
+        if (!(err.number === 2601 || err.number === 2627 || /UNIQUE constraint/.test(err.message))) {
+            throw err;
+        }
+        created = false;
+        await executeQuery(`
+            UPDATE user_devices
+            SET user_id = @param0,
+                platform = ISNULL(@param2, platform),
+                app_version = ISNULL(@param3, app_version),
+                last_seen_at = GETDATE()
+            WHERE push_token = @param1
+        `, params);
+    }
+
+    const result = await executeQuery(`
+        SELECT device_id, platform, app_version, created_at, last_seen_at
+        FROM user_devices
+        WHERE push_token = @param0
+    `, [
+        { type: TYPES.VarChar, value: token }
+    ]);
+    return { device: toDevice(result[0]), created };
+}
+// Remove a user's device so it gets no more pushes. Resolves to whether it was registered.
+async function unregisterDevice(userId, token) {
+    const result = await executeQuery(`
+        DELETE FROM user_devices
+        WHERE user_id = @param0 AND push_token = @param1;
+
+        SELECT @@ROWCOUNT AS affected;
+    `, [
+        { type: TYPES.Int, value: userId },
+        { type: TYPES.VarChar, value: token }
+    ]);
+    return result[0][0].value > 0;
+}
+const pushTokenRule = { type: 'string', required: true, maxLength: 255 };
+// List the devices a user receives pushes on
+app.get('/devices/:userId', authenticateToken, validate({
+    params: { userId: userIdRule }
+}), ownerFromParams, async (req, res) => {
+    try {
+        const result = await executeQuery(`
+            SELECT device_id, platform, app_version, created_at, last_seen_at
+            FROM user_devices
+            WHERE user_id = @param0
+            ORDER BY last_seen_at DESC
+        `, [
+            { type: TYPES.Int, value: req.params.userId }
+        ]);
+        res.json({ success: true, data: result.map(toDevice) });
+    } catch (error) {
+        console.error('Error fetching devices:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch devices' });
+    }
+});
+// Register this device for pushes. The app calls it on every launch to keep the device active.
+app.post('/devices', authenticateToken, validate({
+    body: {
+        token: pushTokenRule,
+        platform: { type: 'string', values: DEVICE_PLATFORMS },
+        appVersion: { type: 'string', maxLength: 50 }
+    }
+}), async (req, res) => {
+    const { token, platform, appVersion } = req.body;
+
+    if (!Expo.isExpoPushToken(token)) {
+        return res.status(400).json({ success: false, message: 'Invalid Expo push token' });
+    }
+
+    try {
+        const { device, created } = await registerDevice(req.user.id, { token, platform, appVersion });
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Device registered' : 'Device updated',
+            data: device
+        });
+    } catch (error) {
+        console.error('Error registering device:', error);
+        res.status(500).json({ success: false, message: 'Failed to register device' });
+    }
+});
+// Stop pushes to this device, e.g. when the user logs out
+app.delete('/devices', authenticateToken, validate({
+    body: { token: pushTokenRule }
+}), async (req, res) => {
+    try {
+        const removed = await unregisterDevice(req.user.id, req.body.token);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, message: 'Device not found' });
+        }
+
+        res.json({ success: true, message: 'Device unregistered' });
+    } catch (error) {
+        console.error('Error unregistering device:', error);
+        res.status(500).json({ success: false, message: 'Failed to unregister device' });
+    }
+});
+// Register push token. Kept for app versions released before POST /devices.
+app.post('/token', authenticateToken, validate({
+    body: {
+        user_id: userIdRule,
+        token: pushTokenRule
+    }
+}), ownerFromBody, async (req, res) => {
+    const { token, user_id } = req.body;
+    
+    if (!Expo.isExpoPushToken(token)) {
+      return res.status(400).json({ error: 'Invalid Expo push token' });
+    }
+  
+    try {
+      const { created } = await registerDevice(user_id, { token });
+      
+      res.status(200).json({ 
+        message: created ? 'Push token registered successfully' : 'Push token updated successfully' 
+      });
+    } catch (error) {
+      console.error('Error registering/updating token:', error);
+      res.status(500).json({ error: 'Failed to register/update token' });
+    }
+});
+// Send notification to a specific user
+app.post('/notify', authenticateToken, staffOnly, validate({
+    body: {
+        user_id: userIdRule,
+        title: { type: 'string', required: true, maxLength: 255 },
+        body: { type: 'string', maxLength: 2000 },
+        data: { type: 'object' }
+    }
+}), async (req, res) => {
+    const { user_id, title, body, data } = req.body;
+  
+    try {
+      const { recipients, tickets } = await deliverNotification([user_id], { title, body, data });
+      const [recipient] = recipients;
+      
+      if (recipient.pushed) {
+        res.status(200).json({ 
+          message: 'Notification sent and stored successfully',
+          notificationId: recipient.notificationId,
+          pushedToDevice: true,
+          devices: recipient.devices,
+          tickets,
+          skipped: []
+        });
+      } else if (!recipient.stored) {
+        res.status(200).json({ 
+          message: 'Notification not sent: the user has turned off this type of notification',
+          pushedToDevice: false,
+          skipped: skippedRecipients(recipients)
+        });
+      } else {
+        res.status(200).json({ 
+          message: `Notification stored successfully, but not pushed (${recipient.reason})`,
+          notificationId: recipient.notificationId,
+          pushedToDevice: false,
+          skipped: skippedRecipients(recipients)
+        });
+      }
+    } catch (error) {
+      console.error('Error processing notification:', error);
+      res.status(500).json({ error: 'Failed to process notification' });
+    }
+  });
+// Fetch push receipts now instead of waiting for the next scheduled check
+app.post('/admin/push-receipts/check', authenticateToken, adminOnly, async (req, res) => {
+    try {
+        const summary = await checkPushReceipts();
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        console.error('Push receipt check error:', error);
+        res.status(500).json({ success: false, message: 'Failed to check push receipts' });
+    }
+});
+
+
+/*BROADCASTS*/
+// Address fields an audience can be narrowed to, and their user_addresses columns
+const AUDIENCE_AREA_FIELDS = {
+    region: 'region',
+    province: 'province',
+    cityMunicipality: 'city_municipality',
+    barangay: 'barangay'
+};
+// Segment filters for a broadcast. Every filter given narrows the audience; none means all users.
+const audienceRule = {
+    type: 'object',
+    default: {},
+    fields: {
+        roles: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'int', min: 1 } },
+        area: {
+            type: 'object',
+            fields: Object.fromEntries(Object.keys(AUDIENCE_AREA_FIELDS).map(field => [field, { type: 'string', maxLength: 100 }]))
+        },
+        disease: {
+            type: 'object',
+            fields: {
+                diseaseId: { type: 'int', required: true, min: 0 },
+                days: { type: 'int', min: 1, max: 365, default: 30 }
+            }
+        },
+        appVersions: { type: 'array', minItems: 1, maxItems: 20, items: { type: 'string', maxLength: 50 } }
+    }
+};
+function invalidAudience(audience) {
+    const role = (audience.roles || []).find(roleId => !ROLE_NAMES[roleId]);
+    return role !== undefined ? `audience roles contains an unknown role ID: ${role}` : null;
+}
+// Query selecting the ids of the users in an audience
+function audienceQuery(audience) {
+    const params = [];
+    const conditions = [];
+
+    if (audience.roles) {
+        const roles = audience.roles.map(roleId => {
+            params.push({ type: TYPES.Int, value: roleId });
+            return `@param${params.length - 1}`;
+        });
+        conditions.push(`uc.role_id IN (${roles.join(', ')})`);
+    }
+
+    const area = Object.entries(AUDIENCE_AREA_FIELDS)
+        .filter(([field]) => audience.area && audience.area[field])
+        .map(([field, column]) => {
+            params.push({ type: TYPES.NVarChar, value: audience.area[field] });
+            return `ua.${column} = @param${params.length - 1}`;
+        });
+    if (area.length > 0) {
+        conditions.push(`EXISTS (
+            SELECT 1
+            FROM user_profiles up
+            JOIN user_addresses ua ON ua.address_id = up.address_id
+            WHERE up.user_id = uc.user_id AND ${area.join(' AND ')}
+        )`);
+    }
+
+    // Users with a scan of the disease in the last N days
+    if (audience.disease) {
+        params.push(
+            { type: TYPES.Int, value: audience.disease.diseaseId },
+            { type: TYPES.DateTime2, value: new Date(Date.now() - audience.disease.days * 24 * 60 * 60 * 1000) }
+        );
+        conditions.push(`EXISTS (
+            SELECT 1
+            FROM rice_leaf_scan rls
+            WHERE rls.user_id = uc.user_id
+                AND rls.rice_leaf_disease_id = @param${params.length - 2}
+                AND rls.created_at >= @param${params.length - 1}
+        )`);
+    }
+
+    // Users with a registered device running one of the app versions
+    if (audience.appVersions) {
+        const versions = audience.appVersions.map(version => {
+            params.push({ type: TYPES.NVarChar, value: version });
+            return `@param${params.length - 1}`;
+        });
+        conditions.push(`EXISTS (
+            SELECT 1
+            FROM user_devices ud
+            WHERE ud.user_id = uc.user_id AND ud.app_version IN (${versions.join(', ')})
+        )`);
+    }
+
+    return {
+        query: `
+            SELECT uc.user_id
+            FROM user_credentials uc
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `,
+        params
+    };
+}
+const CAMPAIGN_COLUMNS = `
+    campaign_id, title, body, data, audience, status, recipient_count, stored_count,
+    pushed_count, skipped, error, created_by, created_at, completed_at`;
+// Campaigns with delivery stats taken from their stored notifications
+async function toCampaigns(rows) {
+    const stats = new Map();
+    const ids = rows.map(row => row[0].value);
+
+    for (const chunk of chunkIds(ids)) {
+        const results = await executeQuery(`
+            SELECT
+                campaign_id,
+                SUM(CASE WHEN delivery_status = 'delivered' THEN 1 ELSE 0 END) AS delivered,
+                SUM(CASE WHEN delivery_status = 'sent' THEN 1 ELSE 0 END) AS pending,
+                SUM(CASE WHEN delivery_status = 'failed' THEN 1 ELSE 0 END) AS failed,
+                SUM(CASE WHEN delivery_status = 'unknown' THEN 1 ELSE 0 END) AS unknown,
+                SUM(CASE WHEN [read] = 1 THEN 1 ELSE 0 END) AS read_count
+            FROM user_notifications
+            WHERE campaign_id IN (${chunk.map((id, index) => `@param${index}`).join(', ')})
+            GROUP BY campaign_id
+        `, chunk.map(id => ({ type: TYPES.Int, value: id })));
+        results.forEach(row => stats.set(row[0].value, {
+            delivery: {
+                delivered: row[1].value,
+                pending: row[2].value,
+                failed: row[3].value,
+                unknown: row[4].value
+            },
+            read: row[5].value
+        }));
+    }
+
+    return rows.map(row => {
+        const campaignStats = stats.get(row[0].value) || {
+            delivery: { delivered: 0, pending: 0, failed: 0, unknown: 0 },
+            read: 0
+        };
+        return {
+            id: row[0].value,
+            title: row[1].value,
+            body: row[2].value,
+            data: row[3].value ? JSON.parse(row[3].value) : {},
+            audience: row[4].value ? JSON.parse(row[4].value) : {},
+            status: row[5].value,
+            recipients: row[6].value,
+            stored: row[7].value,
+            pushed: row[8].value,
+            skipped: row[9].value ? JSON.parse(row[9].value) : {},
+            ...campaignStats,
+            error: row[10].value,
+            createdBy: row[11].value,
+            createdAt: row[12].value,
+            completedAt: row[13].value
+        };
+    });
+}
+async function getCampaign(campaignId) {
+    const result = await executeQuery(`
+        SELECT ${CAMPAIGN_COLUMNS}
+        FROM broadcast_campaigns
+        WHERE campaign_id = @param0
+    `, [
+        { type: TYPES.Int, value: campaignId }
+    ]);
+    return result.length > 0 ? (await toCampaigns(result))[0] : null;
+}
+// Count the users a broadcast with this audience would reach, without sending anything
+app.post('/admin/broadcasts/preview', authenticateToken, adminOnly, validate({
+    body: { audience: audienceRule }
+}), async (req, res) => {
+    const audience = req.body.audience;
+    const error = invalidAudience(audience);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'audience', message: error }]
+        });
+    }
+
+    try {
+        const { query, params } = audienceQuery(audience);
+        const result = await executeQuery(`SELECT COUNT(*) AS recipients FROM (${query}) audience`, params);
+        res.json({ success: true, data: { audience, recipients: result[0][0].value } });
+    } catch (error) {
+        console.error('Error previewing broadcast audience:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview broadcast audience' });
+    }
+});
+// Broadcast a notification to an audience (all users by default), following each user's
+// notification preferences. The broadcast is stored in every recipient's inbox and recorded
+// as a campaign.
+app.post('/broadcast', authenticateToken, adminOnly, validate({
+    body: {
+        title: { type: 'string', maxLength: 255 },
+        body: { type: 'string', maxLength: 2000 },
+        data: { type: 'object' },
+        audience: audienceRule
+    }
+}), async (req, res) => {
+    const title = req.body.title || 'Broadcast Notification';
+    const body = req.body.body || 'You have a new broadcast notification';
+    const { audience } = req.body;
+    const error = invalidAudience(audience);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'audience', message: error }]
+        });
+    }
+  
+    let campaignId = null;
+    try {
+      const { query, params } = audienceQuery(audience);
+      const users = await executeQuery(query, params);
+      
+      if (users.length === 0) {
+        return res.status(400).json({ error: 'No users match this audience' });
       }
+
+      const created = await executeQuery(`
+        INSERT INTO broadcast_campaigns (title, body, data, audience, status, recipient_count, created_by)
+        VALUES (@param0, @param1, @param2, @param3, 'sending', @param4, @param5);
+
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS campaign_id;
+      `, [
+        { type: TYPES.NVarChar, value: title },
+        { type: TYPES.NVarChar, value: body },
+        { type: TYPES.NVarChar, value: req.body.data ? JSON.stringify(req.body.data) : null },
+        { type: TYPES.NVarChar, value: JSON.stringify(audience) },
+        { type: TYPES.Int, value: users.length },
+        { type: TYPES.Int, value: req.user.id }
+      ]);
+      campaignId = created[0][0].value;
+
+      // The type is always 'broadcast' so recipients' broadcast preferences apply
+      const data = { ...(req.body.data || {}), type: 'broadcast', campaignId };
+      const { recipients } = await deliverNotification(users.map(row => row[0].value), {
+        title,
+        body,
+        data
+      }, { campaignId });
+      const pushed = recipients.filter(recipient => recipient.pushed).length;
+      const stored = recipients.filter(recipient => recipient.stored).length;
+      const skipped = skippedRecipients(recipients);
+      const skippedByReason = {};
+      skipped.forEach(recipient => {
+        skippedByReason[recipient.reason] = (skippedByReason[recipient.reason] || 0) + 1;
+      });
+
+      await executeQuery(`
+        UPDATE broadcast_campaigns
+        SET status = 'sent', stored_count = @param1, pushed_count = @param2, skipped = @param3, completed_at = GETDATE()
+        WHERE campaign_id = @param0
+      `, [
+        { type: TYPES.Int, value: campaignId },
+        { type: TYPES.Int, value: stored },
+        { type: TYPES.Int, value: pushed },
+        { type: TYPES.NVarChar, value: JSON.stringify(skippedByReason) }
+      ]);
   
       res.status(200).json({ 
-        message: `Broadcast sent successfully to ${tokens.length} users`,
-        tickets 
+        message: `Broadcast stored for ${stored} users and pushed to ${pushed} of them`,
+        campaignId,
+        recipients: recipients.length,
+        stored,
+        pushed,
+        skipped
       });
     } catch (error) {
       console.error('Error sending broadcast:', error);
+      if (campaignId) {
+        await executeQuery(`
+          UPDATE broadcast_campaigns
+          SET status = 'failed', error = @param1, completed_at = GETDATE()
+          WHERE campaign_id = @param0
+        `, [
+          { type: TYPES.Int, value: campaignId },
+          { type: TYPES.NVarChar, value: error.message }
+        ]).catch(err => console.error('Error recording failed broadcast:', err));
+      }
       res.status(500).json({ error: 'Failed to send broadcast' });
     }
 });
+// Recent broadcast campaigns with their delivery stats
+app.get('/admin/broadcasts', authenticateToken, adminOnly, validate({
+    query: { limit: { type: 'int', min: 1, max: 100, default: 20 } }
+}), async (req, res) => {
+    try {
+        const results = await executeQuery(`
+            SELECT ${CAMPAIGN_COLUMNS}
+            FROM broadcast_campaigns
+            ORDER BY campaign_id DESC
+            OFFSET 0 ROWS FETCH NEXT @param0 ROWS ONLY
+        `, [
+            { type: TYPES.Int, value: req.query.limit }
+        ]);
+
+        res.json({ success: true, data: await toCampaigns(results) });
+    } catch (error) {
+        console.error('Error fetching broadcasts:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcasts' });
+    }
+});
+// One broadcast campaign with its delivery stats
+app.get('/admin/broadcasts/:campaignId', authenticateToken, adminOnly, validate({
+    params: { campaignId: idRule }
+}), async (req, res) => {
+    try {
+        const campaign = await getCampaign(req.params.campaignId);
+
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Broadcast not found' });
+        }
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        console.error('Error fetching broadcast:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcast' });
+    }
+});
 
 
 /*HISTORY*/
+// Sort options for scan history: column, direction and the cursor's copy of the column.
+// Dates go into cursors as the exact stored text (style 126 keeps all DATETIME2 digits),
+// since a JS Date would round them to milliseconds.
+const SCAN_HISTORY_DATE_KEY = 'CONVERT(varchar(33), rls.created_at, 126)';
+const SCAN_HISTORY_SORTS = {
+    date_desc: { column: 'rls.created_at', direction: 'DESC', key: SCAN_HISTORY_DATE_KEY, type: TYPES.VarChar },
+    date_asc: { column: 'rls.created_at', direction: 'ASC', key: SCAN_HISTORY_DATE_KEY, type: TYPES.VarChar },
+    confidence_desc: { column: 'rls.disease_confidence_score', direction: 'DESC', key: 'rls.disease_confidence_score', type: TYPES.Float },
+    confidence_asc: { column: 'rls.disease_confidence_score', direction: 'ASC', key: 'rls.disease_confidence_score', type: TYPES.Float }
+};
+// Expert review state shown next to the model's prediction: null when the scan was never queued,
+// and the agronomist's label once it has been reviewed
+function toScanReviewSummary(status, diseaseId, disease, comment, reviewedAt) {
+    if (!status) {
+        return null;
+    }
+    if (status !== 'labeled') {
+        return { status: 'pending', diseaseId: null, disease: null, comment: null, reviewedAt: null };
+    }
+    return { status, diseaseId, disease, comment, reviewedAt };
+}
+// Cursors point just past the last row of a page: its sort key and scan id
+function encodeCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const expected = SCAN_HISTORY_SORTS[sort].type === TYPES.VarChar ? 'string' : 'number';
+        if (decoded.s !== sort || !Number.isInteger(decoded.id) || typeof decoded.v !== expected) {
+            return null;
+        }
+        return { value: decoded.v, id: decoded.id };
+    } catch (err) {
+        return null;
+    }
+}
+// Scans per page when only a cursor is given
+const SCAN_HISTORY_PAGE_SIZE = 20;
 // get scan history
-app.get('/api/scan-history/:userId', async (req, res) => {
+// Returns an array with the same item fields as before. Without limit or cursor it is the
+// whole filtered history, as older app versions expect; with either it is one page and the
+// X-Next-Cursor header carries the cursor for the next one. X-Total-Count is the filtered total.
+// Disease text is localized like /disease-info, with each item's language in "language".
+app.get('/api/scan-history/:userId', authenticateToken, validate({
+    params: { userId: userIdRule },
+    query: {
+        limit: { type: 'int', min: 1, max: 100 },
+        cursor: { type: 'string', maxLength: 500 },
+        disease: { type: 'int', min: 0 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        minConfidence: { type: 'number', min: 0, max: 100 },
+        maxConfidence: { type: 'number', min: 0, max: 100 },
+        sort: { type: 'string', values: Object.keys(SCAN_HISTORY_SORTS), default: 'date_desc' },
+        lang: langRule
+    }
+}), ownerFromParams, async (req, res) => {
     try {
         const userId = req.params.userId;
-        console.log('Fetching scans for userId:', userId);
+        const { cursor, disease, from, to, minConfidence, maxConfidence, sort } = req.query;
+        const paginated = req.query.limit !== undefined || cursor !== undefined;
+        const limit = req.query.limit || SCAN_HISTORY_PAGE_SIZE;
+        const sortOption = SCAN_HISTORY_SORTS[sort];
+        const language = resolveLanguage(req);
+
+        // Filters shared by the page and the total count
+        const conditions = ['rls.user_id = @param0'];
+        const params = [
+            { type: TYPES.Int, value: userId }
+        ];
+        const addCondition = (condition, type, value) => {
+            conditions.push(condition.replace(/\?/g, `@param${params.length}`));
+            params.push({ type, value });
+        };
+
+        if (disease !== undefined) {
+            addCondition('rls.rice_leaf_disease_id = ?', TYPES.Int, disease);
+        }
+        if (from) {
+            addCondition('rls.created_at >= ?', TYPES.DateTime2, new Date(from));
+        }
+        if (to) {
+            // "to" is inclusive of the whole day
+            const end = new Date(to);
+            end.setUTCDate(end.getUTCDate() + 1);
+            addCondition('rls.created_at < ?', TYPES.DateTime2, end);
+        }
+        if (minConfidence !== undefined) {
+            addCondition('rls.disease_confidence_score >= ?', TYPES.Float, minConfidence / 100);
+        }
+        if (maxConfidence !== undefined) {
+            addCondition('rls.disease_confidence_score <= ?', TYPES.Float, maxConfidence / 100);
+        }
+
+        const countQuery = `
+            SELECT COUNT(*) AS total
+            FROM rice_leaf_scan rls
+            WHERE ${conditions.join(' AND ')}
+        `;
+        const countResult = await executeQuery(countQuery, params);
+        const total = countResult[0][0].value;
+
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+        if (cursor) {
+            const position = decodeCursor(cursor, sort);
+            if (!position) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: [{ location: 'query', field: 'cursor', message: 'cursor is invalid for this sort' }]
+                });
+            }
+
+            const comparison = sortOption.direction === 'DESC' ? '<' : '>';
+            const valueParam = `@param${pageParams.length}`;
+            const idParam = `@param${pageParams.length + 1}`;
+            pageConditions.push(`(${sortOption.column} ${comparison} ${valueParam} OR ` +
+                `(${sortOption.column} = ${valueParam} AND rls.rice_leaf_scan_id ${comparison} ${idParam}))`);
+            pageParams.push({ type: sortOption.type, value: position.value });
+            pageParams.push({ type: TYPES.Int, value: position.id });
+        }
+        const languageParam = `@param${pageParams.length}`;
+        pageParams.push({ type: TYPES.NVarChar, value: language });
+        let fetchClause = '';
+        if (paginated) {
+            fetchClause = `OFFSET 0 ROWS FETCH NEXT @param${pageParams.length} ROWS ONLY`;
+            pageParams.push({ type: TYPES.Int, value: limit + 1 });
+        }
+
         const query = `
             SELECT 
                 rls.rice_leaf_scan_id,
                 rls.scan_image,
                 rls.disease_confidence_score,
                 rls.created_at,
-                rld.rice_leaf_disease,
-                rld.description as disease_description,
-                rpm.description as medicine_description
+                ISNULL(rldt.name, rld.rice_leaf_disease) as rice_leaf_disease,
+                ISNULL(rldt.description, rld.description) as disease_description,
+                ISNULL(rpmt.description, rpm.description) as medicine_description,
+                rls.rice_leaf_disease_id,
+                rls.model_version,
+                rls.app_version,
+                rldt.language_code as disease_language,
+                sr.status as review_status,
+                sr.expert_disease_id,
+                ISNULL(erldt.name, erld.rice_leaf_disease) as expert_disease,
+                sr.expert_comment,
+                sr.reviewed_at,
+                ${sortOption.key} as cursor_key
             FROM rice_leaf_scan rls
             JOIN rice_leaf_disease rld ON rls.rice_leaf_disease_id = rld.rice_leaf_disease_id
+            LEFT JOIN disease_translations rldt
+                ON rldt.rice_leaf_disease_id = rld.rice_leaf_disease_id AND rldt.language_code = ${languageParam}
             LEFT JOIN rice_plant_medicine rpm ON rld.medicine_id = rpm.medicine_id
-            WHERE rls.user_id = @param0
-            ORDER BY rls.created_at DESC
+            LEFT JOIN medicine_translations rpmt
+                ON rpmt.medicine_id = rpm.medicine_id AND rpmt.language_code = ${languageParam}
+            LEFT JOIN scan_reviews sr ON sr.rice_leaf_scan_id = rls.rice_leaf_scan_id
+            LEFT JOIN rice_leaf_disease erld ON erld.rice_leaf_disease_id = sr.expert_disease_id
+            LEFT JOIN disease_translations erldt
+                ON erldt.rice_leaf_disease_id = erld.rice_leaf_disease_id AND erldt.language_code = ${languageParam}
+            WHERE ${pageConditions.join(' AND ')}
+            ORDER BY ${sortOption.column} ${sortOption.direction}, rls.rice_leaf_scan_id ${sortOption.direction}
+            ${fetchClause}
         `;
 
-        const params = [
-            { type: TYPES.Int, value: parseInt(userId) }
-        ];
-
-        const results = await executeQuery(query, params);
+        const results = await executeQuery(query, pageParams);
+        const hasMore = paginated && results.length > limit;
+        const page = hasMore ? results.slice(0, limit) : results;
+        const predictions = await getScanPredictions(page.map(row => row[0].value), language);
         
-        const formattedResults = results.map(row => ({
+        const formattedResults = await Promise.all(page.map(async row => ({
             id: row[0].value,
-            image: row[1].value,
+            image: await resolveImageUrl(bucket_scan, row[1].value),
             confidence: Math.round(row[2].value * 100),
             date: row[3].value,
             disease: row[4].value,
+            diseaseId: row[7].value,
             diseaseDescription: row[5].value || 'No disease description available',
-            medicineDescription: row[6].value || 'No medicine information available'
-        }));
+            medicineDescription: row[6].value || 'No medicine information available',
+            modelVersion: row[8].value,
+            appVersion: row[9].value,
+            predictions: predictions.get(row[0].value),
+            language: row[10].value || DEFAULT_LANGUAGE,
+            review: toScanReviewSummary(row[11].value, row[12].value, row[13].value, row[14].value, row[15].value)
+        })));
+
+        // Items fall back to English one by one, so list every language served
+        const servedLanguages = [...new Set(formattedResults.map(item => item.language))];
+        res.set('Content-Language', servedLanguages.length > 0 ? servedLanguages.join(', ') : language);
+
+        res.set('X-Total-Count', String(total));
+        if (hasMore) {
+            const last = page[page.length - 1];
+            res.set('X-Next-Cursor', encodeCursor(sort, last[16].value, last[0].value));
+        }
 
         res.json(formattedResults);
     } catch (error) {
@@ -645,30 +2859,463 @@ app.get('/api/scan-history/:userId', async (req, res) => {
 });
 
 
-/*CHANGE PASSWORD PROCESS*/
-// change password & email
-app.post('/change-password', async (req, res) => {
-    const { user_id, currentPassword, newPassword } = req.body;
-
-    if (!user_id || !currentPassword || !newPassword) {
-        return res.status(400).json({
-            success: false,
-            message: 'All fields are required'
-        });
+/*STATISTICS*/
+// Windows and intervals accepted by the stats endpoint
+const STATS_DEFAULT_DAYS = 90;
+const STATS_MAX_DAYS = 730;
+const STATS_INTERVALS = ['week', 'month'];
+// SQL for the first day of the week (Monday) or month containing a timestamp
+function periodStartSql(interval, column) {
+    if (DB_CLIENT === 'sqlite') {
+        return interval === 'month'
+            ? `strftime('%Y-%m-01', ${column})`
+            : `date(${column}, '-' || ((CAST(strftime('%w', ${column}) AS INTEGER) + 6) % 7) || ' days')`;
     }
-
+    return interval === 'month'
+        ? `DATEFROMPARTS(YEAR(${column}), MONTH(${column}), 1)`
+        : `CAST(DATEADD(day, (DATEDIFF(day, 0, ${column}) / 7) * 7, 0) AS DATE)`;
+}
+// Per-user scan analytics over a window
+app.get('/api/scan-stats/:userId', authenticateToken, validate({
+    params: { userId: userIdRule },
+    query: {
+        days: { type: 'int', min: 1, max: STATS_MAX_DAYS },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        interval: { type: 'string', values: STATS_INTERVALS, default: 'week' }
+    }
+}), ownerFromParams, async (req, res) => {
     try {
-        const verifyQuery = `
-            SELECT password 
-            FROM user_credentials 
-            WHERE user_id = @param0
-        `;
+        const { userId } = req.params;
+        const { days, from, to, interval } = req.query;
 
-        const verifyParams = [
-            { type: TYPES.Int, value: parseInt(user_id, 10) }  
-        ];
+        // "to" is inclusive of the whole day; without "from" the window is the last N days
+        const end = to ? new Date(to) : new Date();
+        if (to) {
+            end.setUTCDate(end.getUTCDate() + 1);
+        }
+        const start = from
+            ? new Date(from)
+            : new Date(end.getTime() - (days || STATS_DEFAULT_DAYS) * 24 * 60 * 60 * 1000);
 
-        const results = await executeQuery(verifyQuery, verifyParams);
+        if (start >= end || end - start > STATS_MAX_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: [{ location: 'query', field: 'from', message: `window must be between 1 and ${STATS_MAX_DAYS} days` }]
+            });
+        }
+
+        const params = [
+            { type: TYPES.Int, value: userId },
+            { type: TYPES.DateTime2, value: start },
+            { type: TYPES.DateTime2, value: end }
+        ];
+        const window = 'rls.user_id = @param0 AND rls.created_at >= @param1 AND rls.created_at < @param2';
+
+        const diseaseQuery = `
+            SELECT 
+                rld.rice_leaf_disease_id,
+                rld.rice_leaf_disease,
+                rld.is_healthy,
+                COUNT(*) AS scans,
+                AVG(rls.disease_confidence_score) AS average_confidence
+            FROM rice_leaf_scan rls
+            JOIN rice_leaf_disease rld ON rls.rice_leaf_disease_id = rld.rice_leaf_disease_id
+            WHERE ${window}
+            GROUP BY rld.rice_leaf_disease_id, rld.rice_leaf_disease, rld.is_healthy
+            ORDER BY scans DESC
+        `;
+
+        const period = periodStartSql(interval, 'rls.created_at');
+        const seriesQuery = `
+            SELECT 
+                ${period} AS period_start,
+                COUNT(*) AS scans,
+                SUM(CASE WHEN rld.is_healthy = 1 THEN 1 ELSE 0 END) AS healthy_scans,
+                AVG(rls.disease_confidence_score) AS average_confidence
+            FROM rice_leaf_scan rls
+            JOIN rice_leaf_disease rld ON rls.rice_leaf_disease_id = rld.rice_leaf_disease_id
+            WHERE ${window}
+            GROUP BY ${period}
+            ORDER BY period_start
+        `;
+
+        const seriesByDiseaseQuery = `
+            SELECT 
+                ${period} AS period_start,
+                rls.rice_leaf_disease_id,
+                COUNT(*) AS scans
+            FROM rice_leaf_scan rls
+            WHERE ${window}
+            GROUP BY ${period}, rls.rice_leaf_disease_id
+        `;
+
+        const diseaseRows = await executeQuery(diseaseQuery, params);
+        const seriesRows = await executeQuery(seriesQuery, params);
+        const seriesByDiseaseRows = await executeQuery(seriesByDiseaseQuery, params);
+
+        const toPeriodKey = value => (value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10));
+        const toPercent = value => (value === null || value === undefined ? null : Math.round(value * 10000) / 100);
+
+        const diseaseCounts = diseaseRows.map(row => ({
+            diseaseId: row[0].value,
+            disease: row[1].value,
+            healthy: row[2].value === true || row[2].value === 1,
+            count: row[3].value,
+            averageConfidence: toPercent(row[4].value)
+        }));
+        const totalScans = diseaseCounts.reduce((sum, d) => sum + d.count, 0);
+        const healthyScans = diseaseCounts.filter(d => d.healthy).reduce((sum, d) => sum + d.count, 0);
+
+        const byPeriod = {};
+        seriesByDiseaseRows.forEach(row => {
+            const key = toPeriodKey(row[0].value);
+            byPeriod[key] = byPeriod[key] || {};
+            byPeriod[key][row[1].value] = row[2].value;
+        });
+
+        const points = seriesRows.map(row => {
+            const key = toPeriodKey(row[0].value);
+            return {
+                periodStart: key,
+                total: row[1].value,
+                healthy: row[2].value,
+                diseased: row[1].value - row[2].value,
+                averageConfidence: toPercent(row[3].value),
+                byDisease: byPeriod[key] || {}
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                window: { from: start.toISOString(), to: end.toISOString() },
+                totalScans,
+                healthyScans,
+                diseasedScans: totalScans - healthyScans,
+                healthyRatio: totalScans > 0 ? Math.round((healthyScans / totalScans) * 10000) / 10000 : null,
+                diseaseCounts,
+                timeSeries: { interval, points }
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching scan statistics:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch scan statistics' });
+    }
+});
+
+
+
+/*OUTBREAKS*/
+// Detector configuration: area granularity, rolling window and thresholds.
+// The threshold counts distinct farmers, so one farmer rescanning a leaf cannot raise an alert.
+const AREA_LEVELS = ['region', 'province', 'city_municipality'];
+const OUTBREAK_AREA_LEVEL = AREA_LEVELS.includes(process.env.OUTBREAK_AREA_LEVEL)
+    ? process.env.OUTBREAK_AREA_LEVEL
+    : 'city_municipality';
+const OUTBREAK_WINDOW_DAYS = parseInt(process.env.OUTBREAK_WINDOW_DAYS, 10) || 7;
+const OUTBREAK_THRESHOLD = parseInt(process.env.OUTBREAK_THRESHOLD, 10) || 5;
+const OUTBREAK_MIN_CONFIDENCE = parseFloat(process.env.OUTBREAK_MIN_CONFIDENCE) || 0.6;
+const OUTBREAK_CHECK_INTERVAL = parseInt(process.env.OUTBREAK_CHECK_INTERVAL, 10) || 15 * 60 * 1000;
+// Address columns that make up an area, from broadest to the configured level
+function outbreakAreaColumns() {
+    return AREA_LEVELS.slice(0, AREA_LEVELS.indexOf(OUTBREAK_AREA_LEVEL) + 1);
+}
+function areaKey(diseaseId, area) {
+    return [diseaseId, ...AREA_LEVELS.map(level => area[level] || '')].join('|');
+}
+function areaName(area) {
+    return [...AREA_LEVELS].reverse().map(level => area[level]).filter(Boolean).join(', ');
+}
+// Warn the farmers registered in an area about a new outbreak
+async function notifyOutbreak(outbreak) {
+    const columns = outbreakAreaColumns();
+    const params = [
+        { type: TYPES.Int, value: ROLES.FARMER }
+    ];
+    // Farmers without a full address are never part of an area
+    if (columns.some(column => !outbreak.area[column])) {
+        return 0;
+    }
+    const conditions = columns.map(column => {
+        params.push({ type: TYPES.NVarChar, value: outbreak.area[column] });
+        return `ua.${column} = @param${params.length - 1}`;
+    });
+
+    const usersQuery = `
+        SELECT up.user_id
+        FROM user_profiles up
+        JOIN user_addresses ua ON ua.address_id = up.address_id
+        JOIN user_credentials uc ON uc.user_id = up.user_id
+        WHERE uc.role_id = @param0 AND ${conditions.join(' AND ')}
+    `;
+    const users = await executeQuery(usersQuery, params);
+
+    const place = areaName(outbreak.area) || 'your area';
+    try {
+        const { recipients } = await deliverNotification(users.map(row => row[0].value), {
+            title: `Disease alert: ${outbreak.disease}`,
+            body: `${outbreak.detections} farmers in ${place} detected ${outbreak.disease} ` +
+                `in the last ${OUTBREAK_WINDOW_DAYS} days. Check your field and follow the recommended treatment.`,
+            data: {
+                type: 'outbreak',
+                icon: 'alert',
+                iconBgColor: 'red',
+                outbreakId: outbreak.id,
+                diseaseId: outbreak.diseaseId
+            }
+        });
+        return recipients.filter(recipient => recipient.stored).length;
+    } catch (err) {
+        console.error(`Error sending alerts for outbreak ${outbreak.id}:`, err);
+        return 0;
+    }
+}
+// Flag diseases detected by enough farmers in an area over the rolling window,
+// alert farmers for new outbreaks and resolve outbreaks that dropped below it
+async function detectOutbreaks() {
+    const columns = outbreakAreaColumns();
+    const areaSelect = columns.map(column => `ua.${column}`);
+    // Scans from addresses missing any area level cannot be placed in an area
+    const areaKnown = columns.map(column => `ua.${column} IS NOT NULL AND ua.${column} <> ''`);
+    const windowStart = new Date(Date.now() - OUTBREAK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const detectionQuery = `
+        SELECT 
+            rls.rice_leaf_disease_id,
+            rld.rice_leaf_disease,
+            COUNT(DISTINCT rls.user_id) AS detections,
+            ${areaSelect.map((expr, i) => `${expr} AS ${columns[i]}`).join(',\n            ')}
+        FROM rice_leaf_scan rls
+        JOIN rice_leaf_disease rld ON rls.rice_leaf_disease_id = rld.rice_leaf_disease_id
+        JOIN user_profiles up ON up.user_id = rls.user_id
+        JOIN user_addresses ua ON ua.address_id = up.address_id
+        WHERE rls.created_at >= @param0
+            AND rld.is_healthy = 0
+            AND rls.disease_confidence_score >= @param1
+            AND ${areaKnown.join(' AND ')}
+        GROUP BY rls.rice_leaf_disease_id, rld.rice_leaf_disease, ${areaSelect.join(', ')}
+        HAVING COUNT(DISTINCT rls.user_id) >= @param2
+    `;
+    const detectionParams = [
+        { type: TYPES.DateTime2, value: windowStart },
+        { type: TYPES.Float, value: OUTBREAK_MIN_CONFIDENCE },
+        { type: TYPES.Int, value: OUTBREAK_THRESHOLD }
+    ];
+    const detected = (await executeQuery(detectionQuery, detectionParams)).map(row => {
+        const area = {};
+        AREA_LEVELS.forEach(level => {
+            const index = columns.indexOf(level);
+            area[level] = index > -1 ? row[3 + index].value : '';
+        });
+        return { diseaseId: row[0].value, disease: row[1].value, detections: row[2].value, area };
+    });
+
+    const activeQuery = `
+        SELECT outbreak_id, rice_leaf_disease_id, region, province, city_municipality
+        FROM disease_outbreaks
+        WHERE resolved_at IS NULL
+    `;
+    const active = new Map((await executeQuery(activeQuery)).map(row => [
+        areaKey(row[1].value, { region: row[2].value, province: row[3].value, city_municipality: row[4].value }),
+        row[0].value
+    ]));
+
+    const summary = { detected: detected.length, created: 0, updated: 0, resolved: 0, notifiedUsers: 0 };
+
+    for (const outbreak of detected) {
+        const key = areaKey(outbreak.diseaseId, outbreak.area);
+
+        if (active.has(key)) {
+            await executeQuery(`
+                UPDATE disease_outbreaks
+                SET detections = @param1,
+                    last_seen_at = GETDATE()
+                WHERE outbreak_id = @param0
+            `, [
+                { type: TYPES.Int, value: active.get(key) },
+                { type: TYPES.Int, value: outbreak.detections }
+            ]);
+            active.delete(key);
+            summary.updated++;
+            continue;
+        }
+
+        try {
+            const insertResult = await executeQuery(`
+                INSERT INTO disease_outbreaks (
+                    rice_leaf_disease_id, region, province, city_municipality,
+                    detections, window_days, detected_at, last_seen_at
+                ) VALUES (@param0, @param1, @param2, @param3, @param4, @param5, GETDATE(), GETDATE());
+
+                SELECT CAST(SCOPE_IDENTITY() AS INT) AS outbreak_id;
+            `, [
+                { type: TYPES.Int, value: outbreak.diseaseId },
+                { type: TYPES.NVarChar, value: outbreak.area.region },
+                { type: TYPES.NVarChar, value: outbreak.area.province },
+                { type: TYPES.NVarChar, value: outbreak.area.city_municipality },
+                { type: TYPES.Int, value: outbreak.detections },
+                { type: TYPES.Int, value: OUTBREAK_WINDOW_DAYS }
+            ]);
+            outbreak.id = insertResult[0][0].value;
+        } catch (err) {
+            // Another instance recorded this outbreak first and sends the alerts
+            if (err.number === 2601 || err.number === 2627 || /UNIQUE constraint/.test(err.message)) {
+                continue;
+            }
+            throw err;
+        }
+        summary.created++;
+
+        const notified = await notifyOutbreak(outbreak);
+        summary.notifiedUsers += notified;
+        await executeQuery(`
+            UPDATE disease_outbreaks
+            SET notified_users = @param1
+            WHERE outbreak_id = @param0
+        `, [
+            { type: TYPES.Int, value: outbreak.id },
+            { type: TYPES.Int, value: notified }
+        ]);
+    }
+
+    // Outbreaks that fell below the threshold are over
+    for (const outbreakId of active.values()) {
+        await executeQuery(`
+            UPDATE disease_outbreaks
+            SET resolved_at = GETDATE()
+            WHERE outbreak_id = @param0 AND resolved_at IS NULL
+        `, [
+            { type: TYPES.Int, value: outbreakId }
+        ]);
+        summary.resolved++;
+    }
+
+    return summary;
+}
+// Run the detector periodically, skipping a run while the previous one is still going
+let outbreakDetectionRunning = false;
+function startOutbreakDetector() {
+    const timer = setInterval(async () => {
+        if (outbreakDetectionRunning) {
+            return;
+        }
+        outbreakDetectionRunning = true;
+        try {
+            const summary = await detectOutbreaks();
+            if (summary.created > 0 || summary.resolved > 0) {
+                console.log('Outbreak detection:', summary);
+            }
+        } catch (err) {
+            console.error('Outbreak detection error:', err);
+        } finally {
+            outbreakDetectionRunning = false;
+        }
+    }, OUTBREAK_CHECK_INTERVAL);
+    timer.unref();
+    return timer;
+}
+// List active outbreaks, optionally for one area or disease
+app.get('/api/outbreaks', authenticateToken, validate({
+    query: {
+        region: { type: 'string', maxLength: 100 },
+        province: { type: 'string', maxLength: 100 },
+        city_municipality: { type: 'string', maxLength: 100 },
+        disease: { type: 'int', min: 0 }
+    }
+}), async (req, res) => {
+    try {
+        const conditions = ['dob.resolved_at IS NULL'];
+        const params = [];
+        for (const level of AREA_LEVELS) {
+            if (req.query[level]) {
+                conditions.push(`dob.${level} = @param${params.length}`);
+                params.push({ type: TYPES.NVarChar, value: req.query[level] });
+            }
+        }
+        if (req.query.disease !== undefined) {
+            conditions.push(`dob.rice_leaf_disease_id = @param${params.length}`);
+            params.push({ type: TYPES.Int, value: req.query.disease });
+        }
+
+        const query = `
+            SELECT 
+                dob.outbreak_id,
+                dob.rice_leaf_disease_id,
+                rld.rice_leaf_disease,
+                dob.region,
+                dob.province,
+                dob.city_municipality,
+                dob.detections,
+                dob.window_days,
+                dob.detected_at,
+                dob.last_seen_at
+            FROM disease_outbreaks dob
+            JOIN rice_leaf_disease rld ON rld.rice_leaf_disease_id = dob.rice_leaf_disease_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY dob.detected_at DESC
+        `;
+
+        const results = await executeQuery(query, params);
+
+        res.json({
+            success: true,
+            data: results.map(row => ({
+                id: row[0].value,
+                diseaseId: row[1].value,
+                disease: row[2].value,
+                area: {
+                    region: row[3].value || null,
+                    province: row[4].value || null,
+                    cityMunicipality: row[5].value || null
+                },
+                detections: row[6].value,
+                windowDays: row[7].value,
+                detectedAt: row[8].value,
+                lastSeenAt: row[9].value
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching outbreaks:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch outbreaks' });
+    }
+});
+// Run outbreak detection now instead of waiting for the next scheduled check
+app.post('/admin/outbreaks/detect', authenticateToken, adminOnly, async (req, res) => {
+    try {
+        const summary = await detectOutbreaks();
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        console.error('Outbreak detection error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run outbreak detection' });
+    }
+});
+
+
+/*CHANGE PASSWORD PROCESS*/
+// change password & email
+app.post('/change-password', authenticateToken, validate({
+    body: {
+        user_id: userIdRule,
+        currentPassword: { type: 'string', required: true, maxLength: 128 },
+        newPassword: passwordRule
+    }
+}), ownerFromBody, async (req, res) => {
+    const { user_id, currentPassword, newPassword } = req.body;
+
+    try {
+        const verifyQuery = `
+            SELECT password 
+            FROM user_credentials 
+            WHERE user_id = @param0
+        `;
+
+        const verifyParams = [
+            { type: TYPES.Int, value: parseInt(user_id, 10) }  
+        ];
+
+        const results = await executeQuery(verifyQuery, verifyParams);
 
         if (!results || results.length === 0) {
             return res.status(404).json({
@@ -735,7 +3382,13 @@ app.post('/change-password', async (req, res) => {
         });
     }
 });
-app.post('/verify-email-change', async (req, res) => {
+app.post('/verify-email-change', authenticateToken, validate({
+    body: {
+        user_id: userIdRule,
+        password: { type: 'string', required: true, maxLength: 128 },
+        newEmail: { type: 'email', required: true }
+    }
+}), ownerFromBody, async (req, res) => {
     const { user_id, password, newEmail } = req.body;
 
     try {
@@ -799,11 +3452,9 @@ app.post('/verify-email-change', async (req, res) => {
 
         // Generate and store OTP
         const otp = generateVerificationCode();
-        otpStorage.set(user_id.toString(), {
-            otp,
-            newEmail: newEmail.trim(),
-            timestamp: Date.now()
-        });
+        await codeStore.save(CODE_PURPOSES.EMAIL_CHANGE, user_id.toString(), otp, {
+            newEmail: newEmail.trim()
+        }, EMAIL_CHANGE_CODE_TTL);
 
         // Send OTP email
         await transporter.sendMail({
@@ -826,87 +3477,99 @@ app.post('/verify-email-change', async (req, res) => {
         });
     }
 });
-app.post('/confirm-email-change', async (req, res) => {
+app.post('/confirm-email-change', authenticateToken, validate({
+    body: {
+        user_id: userIdRule,
+        otp: otpRule
+    }
+}), ownerFromBody, async (req, res) => {
     const { user_id, otp } = req.body;
 
     try {
         console.log('Received confirmation request:', {
             user_id,
-            otp,
             timestamp: new Date().toISOString()
         });
 
-        const storedData = otpStorage.get(user_id.toString());
-        console.log('Retrieved stored data:', {
-            exists: !!storedData,
-            storedData: storedData ? {
-                timestamp: new Date(storedData.timestamp).toISOString(),
-                newEmail: storedData.newEmail,
-                otpLength: storedData.otp?.length,
-                timeSinceCreation: Date.now() - storedData.timestamp + 'ms'
-            } : null
+        const verification = await verifyCode(CODE_PURPOSES.EMAIL_CHANGE, user_id.toString(), otp);
+        console.log('OTP validation:', {
+            user_id,
+            status: verification.status
         });
 
-        if (!storedData) {
-            console.log('No OTP data found for user_id:', user_id);
+        if (verification.status === 'missing') {
             return res.status(400).json({
                 success: false,
                 message: 'No OTP request found'
             });
         }
 
-        // Check if OTP is expired (10 minutes)
-        const timeElapsed = Date.now() - storedData.timestamp;
-        const isExpired = timeElapsed > 10 * 60 * 1000;
-        
-        console.log('OTP expiration check:', {
-            timeElapsed: timeElapsed + 'ms',
-            expirationLimit: '600000ms',
-            isExpired
-        });
-
-        if (isExpired) {
-            console.log('OTP expired for user_id:', user_id);
-            otpStorage.delete(user_id.toString());
+        if (verification.status === 'expired') {
             return res.status(400).json({
                 success: false,
                 message: 'OTP has expired'
             });
         }
 
-        const otpMatches = storedData.otp === otp;
-        console.log('OTP validation:', {
-            matches: otpMatches,
-            providedLength: otp?.length,
-            storedLength: storedData.otp?.length
-        });
+        if (verification.status === 'locked') {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many invalid attempts. Please request a new OTP.'
+            });
+        }
 
-        if (!otpMatches) {
-            console.log('Invalid OTP provided for user_id:', user_id);
+        if (verification.status !== 'valid') {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid OTP'
             });
         }
 
-        // Update email
-        const updateQuery = `
-            UPDATE user_profiles 
-            SET email = @param1,
-                updated_at = GETDATE()
-            WHERE user_id = @param0
-        `;
+        const storedData = verification.data;
 
-        const updateParams = [
-            { type: TYPES.Int, value: user_id },
-            { type: TYPES.VarChar, value: storedData.newEmail }
-        ];
+        // Update email, re-checking that nobody claimed it since the OTP was sent
+        const emailTaken = await withTransaction(async (tx) => {
+            const emailCheckQuery = `
+                SELECT 1
+                FROM user_profiles
+                WHERE email = @param0 AND user_id <> @param1
+            `;
+            const emailCheckParams = [
+                { type: TYPES.VarChar, value: storedData.newEmail },
+                { type: TYPES.Int, value: user_id }
+            ];
 
-        await executeQuery(updateQuery, updateParams);
+            const existing = await tx.executeQuery(emailCheckQuery, emailCheckParams);
+            if (existing.length > 0) {
+                return true;
+            }
+
+            const updateQuery = `
+                UPDATE user_profiles 
+                SET email = @param1,
+                    updated_at = GETDATE()
+                WHERE user_id = @param0
+            `;
+
+            const updateParams = [
+                { type: TYPES.Int, value: user_id },
+                { type: TYPES.VarChar, value: storedData.newEmail }
+            ];
+
+            await tx.executeQuery(updateQuery, updateParams);
+            return false;
+        }, { isolationLevel: ISOLATION_LEVEL.SERIALIZABLE });
+
+        if (emailTaken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email already in use'
+            });
+        }
         console.log('Email updated successfully for user_id:', user_id);
 
         // Clear OTP data
-        otpStorage.delete(user_id.toString());
+        await codeStore.remove(CODE_PURPOSES.EMAIL_CHANGE, user_id.toString());
 
         return res.status(200).json({
             success: true,
@@ -929,7 +3592,18 @@ app.post('/confirm-email-change', async (req, res) => {
 
 /*SIGNUP PROCESS*/
 // Initial Signup Endpoint (Pre-registration)
-app.post("/pre-signup", requestLimiter, async (req, res) => {
+app.post("/pre-signup", requestLimiter, validate({
+    body: {
+        username: { type: 'string', required: true, minLength: 3, maxLength: 50, pattern: /^[A-Za-z0-9._-]+$/, patternMessage: 'may only contain letters, numbers, dots, dashes and underscores' },
+        email: { type: 'email', required: true },
+        password: passwordRule,
+        firstname: { type: 'string', required: true, maxLength: 100 },
+        lastname: { type: 'string', required: true, maxLength: 100 },
+        birthdate: { type: 'date', required: true, past: true },
+        gender: { type: 'string', maxLength: 20 },
+        mobilenumber: { type: 'phone' }
+    }
+}), async (req, res) => {
     try {
         const { username, email, password, firstname, lastname, birthdate, gender, mobilenumber } = req.body;
 
@@ -948,23 +3622,23 @@ app.post("/pre-signup", requestLimiter, async (req, res) => {
 
         // Generate verification code
         const verificationCode = generateVerificationCode();
-        const codeExpiry = new Date();
-        codeExpiry.setMinutes(codeExpiry.getMinutes() + 15); 
+
+        // Hash password now so it is never stored in plain text while pending
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password.trim(), salt);
 
         // Store temporary registration details and verification code
         const tempRegData = {
             username,
             email,
-            password,
+            hashedPassword,
             firstname,
             lastname,
             birthdate,  
             gender,
-            mobilenumber,
-            verificationCode,
-            codeExpiry
+            mobilenumber
         };
-        verificationCodes.set(email, tempRegData);
+        await codeStore.save(CODE_PURPOSES.SIGNUP, email, verificationCode, tempRegData, SIGNUP_CODE_TTL);
 
         // Send verification code via email
         const mailOptions = {
@@ -996,70 +3670,78 @@ app.post("/pre-signup", requestLimiter, async (req, res) => {
     }
 });
 // Complete Signup with Verification Code
-app.post("/complete-signup", async (req, res) => {
+app.post("/complete-signup", validate({
+    body: {
+        email: { type: 'email', required: true },
+        verificationCode: otpRule
+    }
+}), async (req, res) => {
     try {
         const { email, verificationCode } = req.body;
 
-        // Retrieve stored registration data
-        const tempRegData = verificationCodes.get(email);
+        // Validate verification code and retrieve stored registration data
+        const verification = await verifyCode(CODE_PURPOSES.SIGNUP, email, verificationCode);
 
-        // Validate verification code
-        if (!tempRegData || 
-            tempRegData.verificationCode !== verificationCode || 
-            new Date() > tempRegData.codeExpiry
-        ) {
+        if (verification.status === 'locked') {
+            return res.status(429).json({ 
+                message: "Too many invalid attempts. Please request a new verification code." 
+            });
+        }
+
+        if (verification.status !== 'valid') {
             return res.status(400).json({ 
                 message: "Invalid or expired verification code" 
             });
         }
 
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(tempRegData.password.trim(), salt);
+        const tempRegData = verification.data;
+        const hashedPassword = tempRegData.hashedPassword;
 
-        const DEFAULT_ROLE_ID = 1;
+        // Insert user credentials and profile together
+        const userId = await withTransaction(async (tx) => {
+            const credentialsQuery = `
+                INSERT INTO user_credentials (username, role_id, password)
+                VALUES (@param0, @param1, @param2);
 
-        // Start a transaction to insert user credentials and profile
-        const registrationQuery = `
-        BEGIN TRANSACTION;
-        
-        INSERT INTO user_credentials (username, role_id, password)
-        VALUES (@param0, @param1, @param2);
+                SELECT CAST(SCOPE_IDENTITY() AS INT) AS userId;
+            `;
+            const credentialsParams = [
+                { type: TYPES.NVarChar, value: tempRegData.username },
+                { type: TYPES.Int, value: DEFAULT_ROLE_ID },
+                { type: TYPES.NVarChar, value: hashedPassword }
+            ];
 
-        DECLARE @newUserId INT = SCOPE_IDENTITY();
-        
-        INSERT INTO user_profiles (
-            user_id, firstname, lastname, birthdate, gender, email, mobile_number
-        ) VALUES (
-            @newUserId, @param3, @param4, @param5, @param6, @param7, @param8
-        );
-        
-        COMMIT TRANSACTION;
-        
-        SELECT @newUserId AS userId;
-    `;
+            const credentialsResult = await tx.executeQuery(credentialsQuery, credentialsParams);
+            const newUserId = credentialsResult[0][0].value;
 
-    const registrationParams = [
-        { type: TYPES.NVarChar, value: tempRegData.username },
-        { type: TYPES.Int, value: DEFAULT_ROLE_ID },
-        { type: TYPES.NVarChar, value: hashedPassword },
-        { type: TYPES.NVarChar, value: tempRegData.firstname },
-        { type: TYPES.NVarChar, value: tempRegData.lastname },
-        { type: TYPES.Date, value: new Date(tempRegData.birthdate) },
-        { type: TYPES.NVarChar, value: tempRegData.gender },
-        { type: TYPES.NVarChar, value: email },
-        { type: TYPES.NVarChar, value: tempRegData.mobilenumber }
-    ];
+            const profileQuery = `
+                INSERT INTO user_profiles (
+                    user_id, firstname, lastname, birthdate, gender, email, mobile_number
+                ) VALUES (
+                    @param0, @param1, @param2, @param3, @param4, @param5, @param6
+                )
+            `;
+            const profileParams = [
+                { type: TYPES.Int, value: newUserId },
+                { type: TYPES.NVarChar, value: tempRegData.firstname },
+                { type: TYPES.NVarChar, value: tempRegData.lastname },
+                { type: TYPES.Date, value: new Date(tempRegData.birthdate) },
+                { type: TYPES.NVarChar, value: tempRegData.gender },
+                { type: TYPES.NVarChar, value: email },
+                { type: TYPES.NVarChar, value: tempRegData.mobilenumber }
+            ];
 
-        const userResult = await executeQuery(registrationQuery, registrationParams);
-        const userId = userResult[0][0].value;
+            await tx.executeQuery(profileQuery, profileParams);
+            return newUserId;
+        });
 
         // Remove verification code from storage
-        verificationCodes.delete(email);
+        await codeStore.remove(CODE_PURPOSES.SIGNUP, email);
 
         res.status(201).json({ 
             message: "Registration completed successfully", 
-            userId 
+            userId,
+            ...issueTokens({ id: userId, roleId: DEFAULT_ROLE_ID })
         });
 
     } catch (err) {
@@ -1071,14 +3753,16 @@ app.post("/complete-signup", async (req, res) => {
     }
 });
 // Resend Verification Code Endpoint
-app.post("/resend-verification-code", async (req, res) => {
+app.post("/resend-verification-code", validate({
+    body: { email: { type: 'email', required: true } }
+}), async (req, res) => {
     try {
         const { email } = req.body;
 
         // Check if there's an existing pre-registration for this email
-        const tempRegData = verificationCodes.get(email);
+        const pending = await codeStore.get(CODE_PURPOSES.SIGNUP, email);
 
-        if (!tempRegData) {
+        if (!pending || new Date() > pending.expiresAt) {
             return res.status(400).json({ 
                 message: "No pending registration found. Please start the signup process again." 
             });
@@ -1086,13 +3770,9 @@ app.post("/resend-verification-code", async (req, res) => {
 
         // Generate new verification code
         const verificationCode = generateVerificationCode();
-        const codeExpiry = new Date();
-        codeExpiry.setMinutes(codeExpiry.getMinutes() + 15);
 
-        // Update stored data with new code
-        tempRegData.verificationCode = verificationCode;
-        tempRegData.codeExpiry = codeExpiry;
-        verificationCodes.set(email, tempRegData);
+        // Replace the stored code, keeping the registration details
+        await codeStore.save(CODE_PURPOSES.SIGNUP, email, verificationCode, pending.data, SIGNUP_CODE_TTL);
 
         // Send new verification code via email
         const mailOptions = {
@@ -1114,593 +3794,2088 @@ app.post("/resend-verification-code", async (req, res) => {
             message: "New verification code sent to your email",
             email: email 
         });
-
-    } catch (err) {
-        console.error('Resend verification code error:', err);
+
+    } catch (err) {
+        console.error('Resend verification code error:', err);
+        res.status(500).json({ 
+            message: "Server error", 
+            error: err.message 
+        });
+    }
+});
+
+
+/*FORGOT PASSWORD PROCESS*/
+app.post("/forgot-password", requestLimiter, validate({
+    body: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Check if email exists in database
+        const emailQuery = `
+            SELECT user_id 
+            FROM user_profiles 
+            WHERE email = @param0
+        `;
+        const emailParams = [{ type: TYPES.NVarChar, value: email }];
+        const existingUser = await executeQuery(emailQuery, emailParams);
+
+        if (existingUser.length === 0) {
+            return res.status(404).json({
+                message: "No account found with this email address"
+            });
+        }
+
+        // Generate OTP
+        const resetCode = generateVerificationCode(); 
+
+        // Store password reset details
+        await codeStore.save(CODE_PURPOSES.PASSWORD_RESET, email, resetCode, {
+            userId: existingUser[0][0].value 
+        }, PASSWORD_RESET_CODE_TTL);
+
+        // Send reset code via email
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: 'Password Reset Code',
+            html: `
+                <h1>Password Reset Request</h1>
+                <p>Your password reset code is:</p>
+                <h2>${resetCode}</h2>
+                <p>This code will expire in 15 minutes.</p>
+                <p>If you did not request this password reset, please ignore this email and ensure your account is secure.</p>
+            `
+        };
+
+        await transporter.sendMail(mailOptions);
+
+        res.status(200).json({ 
+            message: "Password reset code sent to your email",
+            email: email
+        });
+
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ 
+            message: "Server error during password reset request",
+            error: err.message 
+        });
+    }
+});
+app.post("/verify-otp", validate({
+    body: {
+        email: { type: 'email', required: true },
+        otp: otpRule
+    }
+}), async (req, res) => {
+    try {
+        const { email, otp } = req.body;
+
+        // Validate OTP, expiry and attempts
+        const verification = await verifyCode(CODE_PURPOSES.PASSWORD_RESET, email, otp);
+
+        if (verification.status === 'missing') {
+            return res.status(400).json({
+                message: "No password reset request found. Please request a new OTP."
+            });
+        }
+
+        if (verification.status === 'expired') {
+            return res.status(400).json({
+                message: "OTP has expired. Please request a new one."
+            });
+        }
+
+        if (verification.status === 'locked') {
+            return res.status(429).json({
+                message: "Too many invalid attempts. Please request a new OTP."
+            });
+        }
+
+        if (verification.status !== 'valid') {
+            return res.status(400).json({
+                message: "Invalid OTP"
+            });
+        }
+
+        const resetData = verification.data;
+
+        // The OTP is single-use: only the request that removes it gets a reset token
+        const consumed = await codeStore.remove(CODE_PURPOSES.PASSWORD_RESET, email);
+        if (!consumed) {
+            return res.status(400).json({
+                message: "No password reset request found. Please request a new OTP."
+            });
+        }
+
+        // Issue a short-lived, single-use token that /reset-password must present
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        await codeStore.save(CODE_PURPOSES.PASSWORD_RESET_TOKEN, email, resetToken, {
+            userId: resetData.userId
+        }, PASSWORD_RESET_TOKEN_TTL);
+
+        res.status(200).json({
+            message: "OTP verified successfully",
+            userId: resetData.userId,
+            resetToken,
+            resetTokenExpiresAt: new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL).toISOString()
+        });
+
+    } catch (err) {
+        console.error('OTP verification error:', err);
+        res.status(500).json({
+            message: "Server error during OTP verification",
+            error: err.message
+        });
+    }
+});
+// Resend Password Reset OTP Endpoint
+app.post("/resend-password-otp", requestLimiter, validate({
+    body: { email: { type: 'email', required: true } }
+}), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        // Check if email exists in database
+        const emailQuery = `
+            SELECT user_id 
+            FROM user_profiles 
+            WHERE email = @param0
+        `;
+        const emailParams = [{ type: TYPES.NVarChar, value: email }];
+        const existingUser = await executeQuery(emailQuery, emailParams);
+
+        if (existingUser.length === 0) {
+            return res.status(404).json({
+                message: "No account found with this email address"
+            });
+        }
+
+        // Generate new OTP
+        const resetCode = generateVerificationCode();
+
+        // Update stored data with new code
+        await codeStore.save(CODE_PURPOSES.PASSWORD_RESET, email, resetCode, {
+            userId: existingUser[0][0].value
+        }, PASSWORD_RESET_CODE_TTL);
+
+        // Send new OTP via email
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: email,
+            subject: 'New Password Reset Code',
+            html: `
+                <h1>Password Reset Request</h1>
+                <p>Your new password reset code is:</p>
+                <h2>${resetCode}</h2>
+                <p>This code will expire in 15 minutes.</p>
+                <p>If you did not request this password reset, please ignore this email and ensure your account is secure.</p>
+            `
+        };
+
+        await transporter.sendMail(mailOptions);
+
+        res.status(200).json({
+            message: "New password reset code sent to your email",
+            email: email
+        });
+
+    } catch (err) {
+        console.error('Resend password OTP error:', err);
+        res.status(500).json({
+            message: "Server error during OTP resend",
+            error: err.message
+        });
+    }
+});
+// Change Password
+app.post("/reset-password", validate({
+    body: {
+        email: { type: 'email', required: true },
+        resetToken: { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/, patternMessage: 'is not a valid reset token' },
+        newPassword: passwordRule
+    }
+}), async (req, res) => {
+    const { email, resetToken, newPassword } = req.body;
+
+    try {
+        const verification = await verifyCode(CODE_PURPOSES.PASSWORD_RESET_TOKEN, email, resetToken);
+
+        if (verification.status !== 'valid') {
+            return res.status(401).json({ error: 'Invalid or expired reset token' });
+        }
+
+        // Use up the token; a concurrent request that already consumed it loses
+        const consumed = await codeStore.remove(CODE_PURPOSES.PASSWORD_RESET_TOKEN, email);
+        if (!consumed) {
+            return res.status(401).json({ error: 'Invalid or expired reset token' });
+        }
+        await codeStore.remove(CODE_PURPOSES.PASSWORD_RESET, email);
+
+        const userId = verification.data.userId;
+
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+        // Change the password and sign out every device logged in with the old one
+        const updated = await withTransaction(async (tx) => {
+            const updatePasswordQuery = `
+                UPDATE user_credentials 
+                SET password = @param0,
+                    updated_at = GETDATE()
+                WHERE user_id = @param1;
+
+                SELECT @@ROWCOUNT as affected;`;
+
+            const result = await tx.executeQuery(updatePasswordQuery, [
+                { type: TYPES.VarChar, value: hashedPassword },
+                { type: TYPES.Int, value: userId }
+            ]);
+
+            if (result[0][0].value === 0) {
+                return false;
+            }
+
+            await revokeSessions(userId, tx);
+            return true;
+        });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ message: 'Password updated successfully' });
+
+    } catch (error) {
+        console.error('Password reset error:', error);
+        console.error('Error details:', {
+            message: error.message,
+            stack: error.stack,
+            query: error.query
+        });
+        res.status(500).json({ 
+            error: 'Internal server error',
+            details: error.message 
+        });
+    }
+});
+
+
+/*PROFILE PROCESS*/
+// get profile
+app.get('/api/profile/:userId', authenticateToken, validate({
+    params: { userId: userIdRule }
+}), ownerFromParams, async (req, res) => {
+    const { userId } = req.params;
+    
+    try {
+        const query = `
+            SELECT 
+                user_profiles_id,
+                user_id,
+                firstname,
+                lastname,
+                birthdate,
+                gender,
+                mobile_number,
+                address_id,
+                email,
+                profile_image,
+                created_at,
+                updated_at
+            FROM user_profiles
+            WHERE user_id = @param0
+        `;
+        
+        const params = [
+            {
+                type: TYPES.Int,
+                value: parseInt(userId, 10)
+            }
+        ];
+
+        console.log("Executing Query:", query);
+        console.log("Parameters:", params);
+
+        const results = await executeQuery(query, params);
+
+        if (results.length > 0) {
+            const userProfile = {};
+            results[0].forEach(column => {
+                userProfile[column.metadata.colName] = column.value;
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    firstname: userProfile.firstname,
+                    lastname: userProfile.lastname,
+                    email: userProfile.email,
+                    contactNumber: userProfile.mobile_number,
+                    birthdate: userProfile.birthdate,
+                    gender: userProfile.gender,
+                    image: await resolveImageUrl(bucket_profile, userProfile.profile_image)
+                }
+            });
+        } else {
+            res.status(404).json({ success: false, message: 'User profile not found' });
+        }
+    } catch (error) {
+        console.error('Error fetching user profile:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch user profile' });
+    }
+});
+app.post('/upload-profile', authenticateToken, uploadImage('image'), async (req, res) => {
+    try {
+        // imageRef is what gets stored; imageUrl is only valid for a short time
+        const stored = await storeImage(bucket_profile, req.file.buffer, IMAGE_PROFILES.profile);
+        res.status(200).json(stored);
+    } catch (error) {
+        if (error instanceof ImageValidationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Upload failed', details: error.message });
+    }
+});
+app.put('/api/profile/update', authenticateToken, validate({
+    body: {
+        userId: userIdRule,
+        firstname: { type: 'string', maxLength: 100 },
+        lastname: { type: 'string', maxLength: 100 },
+        birthdate: { type: 'date', past: true },
+        contactNumber: { type: 'phone' },
+        image: { type: 'string', maxLength: 2000 }
+    }
+}), authorizeOwner(req => req.body.userId), async (req, res) => {
+    try {
+        const { userId, firstname, lastname, birthdate, contactNumber, image } = req.body;
+
+        // Construct update query with only provided fields
+        let updateFields = [];
+        let params = [
+            { type: TYPES.Int, value: parseInt(userId, 10) }
+        ];
+        let paramIndex = 1;
+
+        if (firstname) {
+            updateFields.push(`firstname = @param${paramIndex}`);
+            params.push({ type: TYPES.NVarChar, value: firstname });
+            paramIndex++;
+        }
+
+        if (lastname) {
+            updateFields.push(`lastname = @param${paramIndex}`);
+            params.push({ type: TYPES.NVarChar, value: lastname });
+            paramIndex++;
+        }
+
+        if (birthdate) {
+            updateFields.push(`birthdate = @param${paramIndex}`);
+            params.push({ type: TYPES.Date, value: new Date(birthdate) });
+            paramIndex++;
+        }
+
+        if (contactNumber) {
+            updateFields.push(`mobile_number = @param${paramIndex}`);
+            params.push({ type: TYPES.NVarChar, value: contactNumber });
+            paramIndex++;
+        }
+
+        if (image) {
+            updateFields.push(`profile_image = @param${paramIndex}`);
+            params.push({ type: TYPES.NVarChar, value: toObjectName(bucket_profile, image) });
+            paramIndex++;
+        }
+
+        updateFields.push(`updated_at = GETDATE()`);
+
+        const updateQuery = `
+            UPDATE user_profiles 
+            SET ${updateFields.join(', ')}
+            WHERE user_id = @param0;
+            
+            SELECT @@ROWCOUNT as affected;
+        `;
+
+        const result = await executeQuery(updateQuery, params);
+        const rowsAffected = result[0][0].value;
+
+        if (rowsAffected > 0) {
+            res.json({
+                success: true,
+                message: 'Profile updated successfully'
+            });
+        } else {
+            res.status(404).json({
+                success: false,
+                message: 'User profile not found'
+            });
+        }
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile',
+            error: error.message
+        });
+    }
+});
+
+
+
+/*FILES*/
+// Serve objects from the local storage backend to holders of a signed URL
+app.get('/files/:bucket/:objectName', async (req, res) => {
+    const bucket = [bucket_scan, bucket_profile, bucket_export].find(b => b.name === req.params.bucket);
+    const expires = parseInt(req.query.expires, 10);
+    const signature = String(req.query.signature || '');
+
+    if (STORAGE_BACKEND !== 'local' || !bucket) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const expected = signFileUrl(bucket.name, req.params.objectName, expires);
+    if (isNaN(expires) || Date.now() > expires || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return res.status(403).json({ error: 'Invalid or expired file URL' });
+    }
+
+    try {
+        res.sendFile(bucket.resolve(req.params.objectName), err => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'File not found' });
+            }
+        });
+    } catch (error) {
+        res.status(404).json({ error: 'File not found' });
+    }
+});
+
+
+/*SCAN PROCESS*/
+// Remember that a user uploaded an image, so they may use it in /predict
+async function recordScanUpload(userId, imageRef) {
+    try {
+        await executeQuery(`
+            INSERT INTO scan_uploads (user_id, image_ref)
+            VALUES (@param0, @param1)
+        `, [
+            { type: TYPES.Int, value: userId },
+            { type: TYPES.NVarChar, value: imageRef }
+        ]);
+    } catch (err) {
+        // Uploaded by this user before
+        if (!(err.number === 2601 || err.number === 2627 || /UNIQUE constraint/.test(err.message))) {
+            throw err;
+        }
+    }
+}
+// Whether a scan image was uploaded by the user or belongs to one of their scans.
+// Older scans store the image as a full public URL.
+async function ownsScanImage(userId, objectName) {
+    const result = await executeQuery(`
+        SELECT CASE WHEN EXISTS (
+            SELECT 1 FROM scan_uploads WHERE user_id = @param0 AND image_ref = @param1
+        ) OR EXISTS (
+            SELECT 1 FROM rice_leaf_scan WHERE user_id = @param0 AND scan_image IN (@param1, @param2, @param3)
+        ) THEN 1 ELSE 0 END AS owned
+    `, [
+        { type: TYPES.Int, value: userId },
+        { type: TYPES.NVarChar, value: objectName },
+        { type: TYPES.NVarChar, value: `https://storage.googleapis.com/${bucket_scan.name}/${objectName}` },
+        { type: TYPES.NVarChar, value: `https://${bucket_scan.name}.storage.googleapis.com/${objectName}` }
+    ]);
+    return result[0][0].value === 1;
+}
+// Upload endpoint
+app.post('/upload', authenticateToken, uploadImage('image'), async (req, res) => {
+    try {
+        // imageRef is what gets stored; imageUrl is only valid for a short time
+        const stored = await storeImage(bucket_scan, req.file.buffer, IMAGE_PROFILES.scan);
+        await recordScanUpload(req.user.id, stored.imageRef);
+        res.status(200).json(stored);
+    } catch (error) {
+        if (error instanceof ImageValidationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Upload failed', details: error.message });
+    }
+});
+// Most classes a client may report per scan
+const MAX_SCAN_PREDICTIONS = 10;
+// Top-k predictions for a set of scans, keyed by scan id and ordered by rank
+async function getScanPredictions(scanIds, language = DEFAULT_LANGUAGE) {
+    const predictions = new Map(scanIds.map(id => [id, []]));
+
+    for (const chunk of chunkIds([...predictions.keys()])) {
+        const query = `
+            SELECT 
+                sp.rice_leaf_scan_id,
+                sp.rice_leaf_disease_id,
+                ISNULL(rldt.name, rld.rice_leaf_disease) AS rice_leaf_disease,
+                sp.probability
+            FROM scan_predictions sp
+            JOIN rice_leaf_disease rld ON sp.rice_leaf_disease_id = rld.rice_leaf_disease_id
+            LEFT JOIN disease_translations rldt
+                ON rldt.rice_leaf_disease_id = rld.rice_leaf_disease_id AND rldt.language_code = @param0
+            WHERE sp.rice_leaf_scan_id IN (${chunk.map((id, i) => `@param${i + 1}`).join(', ')})
+            ORDER BY sp.rice_leaf_scan_id, sp.prediction_rank
+        `;
+        const params = [
+            { type: TYPES.NVarChar, value: language },
+            ...chunk.map(id => ({ type: TYPES.Int, value: id }))
+        ];
+
+        const results = await executeQuery(query, params);
+        results.forEach(row => {
+            predictions.get(row[0].value).push({
+                diseaseId: row[1].value,
+                disease: row[2].value,
+                probability: row[3].value,
+                confidence: Math.round(row[3].value * 100)
+            });
+        });
+    }
+    return predictions;
+}
+// Insert a scan with its history row, top-k predictions and, when it is flagged or
+// below the review threshold, its review queue entry. Predictions are { class, probability }
+// pairs ordered from most to least probable.
+async function saveScan({ userId, diseaseId, score, scanImage, predictions = [], modelVersion, appVersion, flagForReview, reviewComment }) {
+    // Low-confidence or farmer-flagged scans go to the expert review queue
+    const reviewReason = flagForReview
+        ? REVIEW_REASONS.FLAGGED
+        : (score < REVIEW_CONFIDENCE_THRESHOLD ? REVIEW_REASONS.LOW_CONFIDENCE : null);
+
+    // Query to insert leaf scan
+    const leafScanQuery = `
+        INSERT INTO rice_leaf_scan (
+            user_id,
+            rice_leaf_disease_id,
+            disease_confidence_score,
+            created_at,
+            scan_image,
+            model_version,
+            app_version
+        ) 
+        VALUES (@param0, @param1, @param2, GETDATE(), @param3, @param4, @param5);
+        SELECT SCOPE_IDENTITY() as rice_leaf_scan_id;
+    `;
+
+    const leafScanParams = [
+        { type: TYPES.VarChar, value: userId.toString() },
+        { type: TYPES.Int, value: parseInt(diseaseId, 10) },
+        { type: TYPES.Float, value: parseFloat(score) },
+        { type: TYPES.VarChar, value: toObjectName(bucket_scan, scanImage) },
+        { type: TYPES.NVarChar, value: modelVersion || null },
+        { type: TYPES.NVarChar, value: appVersion || null }
+    ];
+
+    // Insert the leaf scan and its history row together
+    const scanId = await withTransaction(async (tx) => {
+        const leafScanResult = await tx.executeQuery(leafScanQuery, leafScanParams);
+        const scanId = leafScanResult[0][0].value;
+
+        const scanHistoryQuery = `
+            INSERT INTO scan_history (
+                rice_leaf_scan_id,
+                date_captured
+            ) VALUES (@param0, GETDATE())
+        `;
+
+        const scanHistoryParams = [
+            { type: TYPES.Int, value: scanId }
+        ];
+
+        await tx.executeQuery(scanHistoryQuery, scanHistoryParams);
+
+        if (predictions.length > 0) {
+            const predictionParams = [
+                { type: TYPES.Int, value: scanId }
+            ];
+            const predictionRows = predictions.map((prediction, index) => {
+                const base = predictionParams.length;
+                predictionParams.push(
+                    { type: TYPES.Int, value: index + 1 },
+                    { type: TYPES.Int, value: prediction.class },
+                    { type: TYPES.Float, value: prediction.probability }
+                );
+                return `(@param0, @param${base}, @param${base + 1}, @param${base + 2})`;
+            });
+
+            const predictionsQuery = `
+                INSERT INTO scan_predictions (
+                    rice_leaf_scan_id,
+                    prediction_rank,
+                    rice_leaf_disease_id,
+                    probability
+                ) VALUES ${predictionRows.join(', ')}
+            `;
+            await tx.executeQuery(predictionsQuery, predictionParams);
+        }
+
+        if (reviewReason) {
+            await queueScanForReview(tx, scanId, reviewReason, reviewComment);
+        }
+        return scanId;
+    });
+
+    return { scanId, queuedForReview: reviewReason !== null };
+}
+// Scan endpoint
+// predictions optionally carries the model's top-k { class, probability } pairs;
+// model_version and app_version identify the release that produced the result.
+app.post("/save", authenticateToken, validate({
+    body: {
+        user_profile_id: userIdRule,
+        disease_prediction: { type: 'int', required: true, min: 0 },
+        disease_prediction_score: { type: 'number', required: true, min: 0, max: 1 },
+        scan_image: { type: 'string', required: true, maxLength: 2000 },
+        predictions: {
+            type: 'array',
+            maxItems: MAX_SCAN_PREDICTIONS,
+            items: {
+                type: 'object',
+                fields: {
+                    class: { type: 'int', required: true, min: 0 },
+                    probability: { type: 'number', required: true, min: 0, max: 1 }
+                }
+            }
+        },
+        model_version: { type: 'string', maxLength: 50 },
+        app_version: { type: 'string', maxLength: 50 },
+        flag_for_review: { type: 'boolean', default: false },
+        review_comment: { type: 'string', maxLength: 500 }
+    }
+}), authorizeOwner(req => req.body.user_profile_id), async (req, res) => {
+    try {
+        const { user_profile_id, disease_prediction, disease_prediction_score, scan_image, model_version, app_version } = req.body;
+
+        // Rank the reported classes by probability; each class may appear once
+        // and the saved prediction must be one of them
+        const predictions = [...(req.body.predictions || [])].sort((a, b) => b.probability - a.probability);
+        const predictedClasses = new Set(predictions.map(prediction => prediction.class));
+        if (predictedClasses.size !== predictions.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: [{ location: 'body', field: 'predictions', message: 'predictions must not repeat a class' }]
+            });
+        }
+        if (predictions.length > 0 && !predictedClasses.has(disease_prediction)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: [{ location: 'body', field: 'predictions', message: 'predictions must include disease_prediction' }]
+            });
+        }
+
+        try {
+            const saved = await saveScan({
+                userId: user_profile_id,
+                diseaseId: disease_prediction,
+                score: disease_prediction_score,
+                scanImage: scan_image,
+                predictions,
+                modelVersion: model_version,
+                appVersion: app_version,
+                flagForReview: req.body.flag_for_review,
+                reviewComment: req.body.review_comment
+            });
+
+            res.status(201).json({ 
+                message: "Scan data saved successfully",
+                rice_leaf_scan_id: saved.scanId,
+                queued_for_review: saved.queuedForReview
+            });
+
+        } catch (error) {
+            console.error('Detailed error:', error);
+            res.status(500).json({ 
+                message: "Server error during scan data saving",
+                error: error.message
+            });
+        }
+    } catch (err) {
+        console.error('Detailed error:', err);
+        res.status(500).json({ 
+            message: "Server error during scan data saving",
+            error: err.message
+        });
+    } 
+});
+// Disease, treatment and medicine details shared by /disease-info and scan detail.
+// Text comes from the translation for the requested language when there is one.
+const DISEASE_INFO_COLUMNS = `
+              ISNULL(rldt.name, rld.rice_leaf_disease) as rice_leaf_disease,
+              ISNULL(rldt.description, rld.description) as disease_description,
+              rld.medicine_id,
+              rld.treatment_id,
+              ISNULL(lptt.name, lpt.treatment) as treatment,
+              ISNULL(lptt.description, lpt.description) as treatment_description,
+              ISNULL(rpmt.name, rpm.rice_plant_medicine) as rice_plant_medicine,
+              ISNULL(rpmt.description, rpm.description) as medicine_description,
+              rldt.language_code as disease_language`;
+// Joins for DISEASE_INFO_COLUMNS; languageParam is the placeholder holding the language code
+function diseaseInfoJoins(languageParam) {
+    return `
+            LEFT JOIN 
+              disease_translations rldt ON rldt.rice_leaf_disease_id = rld.rice_leaf_disease_id
+                AND rldt.language_code = ${languageParam}
+            LEFT JOIN 
+              local_practice_treatment lpt ON rld.treatment_id = lpt.treatment_id
+            LEFT JOIN 
+              treatment_translations lptt ON lptt.treatment_id = lpt.treatment_id
+                AND lptt.language_code = ${languageParam}
+            LEFT JOIN 
+              rice_plant_medicine rpm ON rld.medicine_id = rpm.medicine_id
+            LEFT JOIN 
+              medicine_translations rpmt ON rpmt.medicine_id = rpm.medicine_id
+                AND rpmt.language_code = ${languageParam}`;
+}
+// Convert Tedious result to a more readable object
+function toDiseaseInfo(columns) {
+    const row = {};
+    columns.forEach(column => {
+        row[column.metadata.colName] = column.value;
+    });
+
+    return {
+        rice_leaf_disease: row.rice_leaf_disease,
+        disease_description: row.disease_description,
+        medicine_id: row.medicine_id,
+        treatment_id: row.treatment_id,
+        treatment: row.treatment,
+        treatment_description: row.treatment_description,
+        rice_plant_medicine: row.rice_plant_medicine,
+        medicine_description: row.medicine_description,
+        language: row.disease_language || DEFAULT_LANGUAGE
+    };
+}
+// Every medicine and local practice recommended for a disease, in display order
+async function getDiseaseRecommendations(diseaseId, language = DEFAULT_LANGUAGE) {
+    const params = [
+        { type: TYPES.Int, value: diseaseId },
+        { type: TYPES.NVarChar, value: language }
+    ];
+    const medicines = await executeQuery(`
+        SELECT
+            rpm.medicine_id,
+            ISNULL(rpmt.name, rpm.rice_plant_medicine),
+            ISNULL(rpmt.description, rpm.description)
+        FROM disease_medicines dm
+        JOIN rice_plant_medicine rpm ON rpm.medicine_id = dm.medicine_id
+        LEFT JOIN medicine_translations rpmt ON rpmt.medicine_id = rpm.medicine_id AND rpmt.language_code = @param1
+        WHERE dm.rice_leaf_disease_id = @param0
+        ORDER BY dm.sort_order
+    `, params);
+    const treatments = await executeQuery(`
+        SELECT
+            lpt.treatment_id,
+            ISNULL(lptt.name, lpt.treatment),
+            ISNULL(lptt.description, lpt.description)
+        FROM disease_treatments dt
+        JOIN local_practice_treatment lpt ON lpt.treatment_id = dt.treatment_id
+        LEFT JOIN treatment_translations lptt ON lptt.treatment_id = lpt.treatment_id AND lptt.language_code = @param1
+        WHERE dt.rice_leaf_disease_id = @param0
+        ORDER BY dt.sort_order
+    `, params);
+
+    const toItem = row => ({ id: row[0].value, name: row[1].value, description: row[2].value });
+    return {
+        medicines: medicines.map(toItem),
+        treatments: treatments.map(toItem)
+    };
+}
+// Disease Info Endpoint
+// Served in the language from ?lang= or Accept-Language; "language" and the
+// Content-Language header say which one was used.
+app.get('/disease-info/:classNumber', validate({
+    params: { classNumber: { type: 'int', required: true, min: 0 } },
+    query: { lang: langRule }
+}), async (req, res) => {
+    try {
+        const { classNumber } = req.params;
+        const language = resolveLanguage(req);
+        
+        const query = `
+            SELECT ${DISEASE_INFO_COLUMNS}
+            FROM 
+              rice_leaf_disease rld
+            ${diseaseInfoJoins('@param1')}
+            WHERE 
+              rld.rice_leaf_disease_id = @param0
+        `;
+        
+        const params = [
+            { type: TYPES.Int, value: parseInt(classNumber, 10) },
+            { type: TYPES.NVarChar, value: language }
+        ];
+        
+        const result = await executeQuery(query, params);
+        
+        if (result.length === 0) {
+            return res.status(404).json({ 
+                error: 'No disease information found for the given class number' 
+            });
+        }
+        
+        const info = toDiseaseInfo(result[0]);
+        res.set('Content-Language', info.language);
+        res.json({
+            ...info,
+            ...await getDiseaseRecommendations(parseInt(classNumber, 10), language)
+        });
+    } catch (error) {
+        console.error('Error fetching disease information:', error);
         res.status(500).json({ 
-            message: "Server error", 
-            error: err.message 
+            error: 'Internal server error while fetching disease information',
+            details: error.message
         });
     }
 });
 
+// Load a scan with its disease details, or null when it does not exist
+async function getScan(scanId, language = DEFAULT_LANGUAGE) {
+    const query = `
+        SELECT 
+            rls.rice_leaf_scan_id,
+            rls.user_id,
+            rls.rice_leaf_disease_id,
+            rls.disease_confidence_score,
+            rls.scan_image,
+            rls.created_at,
+            rls.model_version,
+            rls.app_version,
+            sh.date_captured,
+            sr.status as review_status,
+            sr.expert_disease_id,
+            ISNULL(erldt.name, erld.rice_leaf_disease) as expert_disease,
+            sr.expert_comment,
+            sr.reviewed_at,
+            ${DISEASE_INFO_COLUMNS}
+        FROM rice_leaf_scan rls
+        JOIN rice_leaf_disease rld ON rls.rice_leaf_disease_id = rld.rice_leaf_disease_id
+        LEFT JOIN scan_history sh ON sh.rice_leaf_scan_id = rls.rice_leaf_scan_id
+        LEFT JOIN scan_reviews sr ON sr.rice_leaf_scan_id = rls.rice_leaf_scan_id
+        LEFT JOIN rice_leaf_disease erld ON erld.rice_leaf_disease_id = sr.expert_disease_id
+        LEFT JOIN disease_translations erldt
+            ON erldt.rice_leaf_disease_id = erld.rice_leaf_disease_id AND erldt.language_code = @param1
+        ${diseaseInfoJoins('@param1')}
+        WHERE rls.rice_leaf_scan_id = @param0
+    `;
+    const params = [
+        { type: TYPES.Int, value: scanId },
+        { type: TYPES.NVarChar, value: language }
+    ];
 
-/*FORGOT PASSWORD PROCESS*/
-app.post("/forgot-password", requestLimiter, async (req, res) => {
-    try {
-        const { email } = req.body;
-
-        // Check if email exists in database
-        const emailQuery = `
-            SELECT user_id 
-            FROM user_profiles 
-            WHERE email = @param0
-        `;
-        const emailParams = [{ type: TYPES.NVarChar, value: email }];
-        const existingUser = await executeQuery(emailQuery, emailParams);
+    const result = await executeQuery(query, params);
+    if (result.length === 0) {
+        return null;
+    }
 
-        if (existingUser.length === 0) {
-            return res.status(404).json({
-                message: "No account found with this email address"
-            });
+    const row = {};
+    result[0].forEach(column => {
+        row[column.metadata.colName] = column.value;
+    });
+    const predictions = await getScanPredictions([row.rice_leaf_scan_id], language);
+
+    return {
+        id: row.rice_leaf_scan_id,
+        userId: parseInt(row.user_id, 10),
+        diseaseId: row.rice_leaf_disease_id,
+        confidence: Math.round(row.disease_confidence_score * 100),
+        confidenceScore: row.disease_confidence_score,
+        imageRef: row.scan_image,
+        date: row.created_at,
+        dateCaptured: row.date_captured,
+        modelVersion: row.model_version,
+        appVersion: row.app_version,
+        predictions: predictions.get(row.rice_leaf_scan_id),
+        review: toScanReviewSummary(row.review_status, row.expert_disease_id, row.expert_disease, row.expert_comment, row.reviewed_at),
+        diseaseInfo: {
+            ...toDiseaseInfo(result[0]),
+            ...await getDiseaseRecommendations(row.rice_leaf_disease_id, language)
         }
+    };
+}
+// Load a scan for the route, answering 404/403 itself when it is missing or not the caller's
+async function getOwnedScan(req, res, language = DEFAULT_LANGUAGE) {
+    const scan = await getScan(req.params.scanId, language);
 
-        // Generate OTP
-        const resetCode = generateVerificationCode(); 
-        const codeExpiry = new Date();
-        codeExpiry.setMinutes(codeExpiry.getMinutes() + 15); 
-
-        // Store password reset details
-        passwordResetCodes.set(email, {
-            resetCode,
-            codeExpiry,
-            userId: existingUser[0][0].value 
-        });
-
-        // Send reset code via email
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: email,
-            subject: 'Password Reset Code',
-            html: `
-                <h1>Password Reset Request</h1>
-                <p>Your password reset code is:</p>
-                <h2>${resetCode}</h2>
-                <p>This code will expire in 15 minutes.</p>
-                <p>If you did not request this password reset, please ignore this email and ensure your account is secure.</p>
-            `
-        };
+    if (!scan) {
+        res.status(404).json({ success: false, message: 'Scan not found' });
+        return null;
+    }
 
-        await transporter.sendMail(mailOptions);
+    if (scan.userId !== req.user.id) {
+        res.status(403).json({ success: false, message: 'You are not allowed to access this scan' });
+        return null;
+    }
 
-        res.status(200).json({ 
-            message: "Password reset code sent to your email",
-            email: email
-        });
+    return scan;
+}
+// Single scan with full disease, treatment and medicine details, localized like /disease-info
+app.get('/api/scans/:scanId', authenticateToken, validate({
+    params: { scanId: idRule },
+    query: { lang: langRule }
+}), async (req, res) => {
+    try {
+        const scan = await getOwnedScan(req, res, resolveLanguage(req));
+        if (!scan) {
+            return;
+        }
 
-    } catch (err) {
-        console.error('Forgot password error:', err);
-        res.status(500).json({ 
-            message: "Server error during password reset request",
-            error: err.message 
+        const { imageRef, ...details } = scan;
+        res.set('Content-Language', scan.diseaseInfo.language);
+        res.json({
+            success: true,
+            data: {
+                ...details,
+                image: await resolveImageUrl(bucket_scan, imageRef)
+            }
         });
+    } catch (error) {
+        console.error('Error fetching scan:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch scan' });
     }
 });
-app.post("/verify-otp", async (req, res) => {
+// Delete a scan, its history row and its image
+app.delete('/api/scans/:scanId', authenticateToken, validate({
+    params: { scanId: idRule }
+}), async (req, res) => {
     try {
-        const { email, otp } = req.body;
-
-        // Validate input
-        if (!email || !otp) {
-            return res.status(400).json({
-                message: "Email and OTP are required"
-            });
+        const scan = await getOwnedScan(req, res);
+        if (!scan) {
+            return;
         }
 
-        // Check if there's a valid reset code
-        const resetData = passwordResetCodes.get(email);
-        if (!resetData) {
-            return res.status(400).json({
-                message: "No password reset request found. Please request a new OTP."
-            });
-        }
+        // Images are content-addressed, so another scan may share the same object
+        const imageStillUsed = await withTransaction(async (tx) => {
+            const deleteQuery = `
+                DELETE FROM scan_history
+                WHERE rice_leaf_scan_id = @param0;
 
-        // Validate OTP and expiry
-        if (resetData.resetCode !== otp) {
-            return res.status(400).json({
-                message: "Invalid OTP"
-            });
-        }
+                DELETE FROM scan_predictions
+                WHERE rice_leaf_scan_id = @param0;
 
-        if (new Date() > resetData.codeExpiry) {
-            passwordResetCodes.delete(email);
-            return res.status(400).json({
-                message: "OTP has expired. Please request a new one."
-            });
-        }
+                DELETE FROM scan_reviews
+                WHERE rice_leaf_scan_id = @param0;
 
-        res.status(200).json({
-            message: "OTP verified successfully",
-            userId: resetData.userId
-        });
+                DELETE FROM rice_leaf_scan
+                WHERE rice_leaf_scan_id = @param0;
 
-    } catch (err) {
-        console.error('OTP verification error:', err);
-        res.status(500).json({
-            message: "Server error during OTP verification",
-            error: err.message
-        });
-    }
-});
-// Resend Password Reset OTP Endpoint
-app.post("/resend-password-otp", requestLimiter, async (req, res) => {
-    try {
-        const { email } = req.body;
+                SELECT COUNT(*) AS remaining
+                FROM rice_leaf_scan
+                WHERE scan_image = @param1;
+            `;
+            const deleteParams = [
+                { type: TYPES.Int, value: scan.id },
+                { type: TYPES.NVarChar, value: scan.imageRef }
+            ];
 
-        // Check if email exists in database
-        const emailQuery = `
-            SELECT user_id 
-            FROM user_profiles 
-            WHERE email = @param0
-        `;
-        const emailParams = [{ type: TYPES.NVarChar, value: email }];
-        const existingUser = await executeQuery(emailQuery, emailParams);
+            const result = await tx.executeQuery(deleteQuery, deleteParams);
+            return result[0][0].value > 0;
+        });
 
-        if (existingUser.length === 0) {
-            return res.status(404).json({
-                message: "No account found with this email address"
-            });
+        if (!imageStillUsed) {
+            const imageRef = toObjectName(bucket_scan, scan.imageRef);
+            try {
+                await bucket_scan.delete(imageRef);
+                const thumbnailRef = thumbnailRefFor(imageRef);
+                if (thumbnailRef) {
+                    await bucket_scan.delete(thumbnailRef);
+                }
+            } catch (err) {
+                // The rows are gone; a leftover object is only wasted space
+                console.error('Error deleting scan image:', err);
+            }
         }
 
-        // Generate new OTP
-        const resetCode = generateVerificationCode();
-        const codeExpiry = new Date();
-        codeExpiry.setMinutes(codeExpiry.getMinutes() + 15);
-
-        // Update stored data with new code
-        passwordResetCodes.set(email, {
-            resetCode,
-            codeExpiry,
-            userId: existingUser[0][0].value
-        });
-
-        // Send new OTP via email
-        const mailOptions = {
-            from: process.env.EMAIL_USER,
-            to: email,
-            subject: 'New Password Reset Code',
-            html: `
-                <h1>Password Reset Request</h1>
-                <p>Your new password reset code is:</p>
-                <h2>${resetCode}</h2>
-                <p>This code will expire in 15 minutes.</p>
-                <p>If you did not request this password reset, please ignore this email and ensure your account is secure.</p>
-            `
-        };
+        res.json({ success: true, message: 'Scan deleted' });
+    } catch (error) {
+        console.error('Error deleting scan:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete scan' });
+    }
+});
 
-        await transporter.sendMail(mailOptions);
 
-        res.status(200).json({
-            message: "New password reset code sent to your email",
-            email: email
+/*PREDICTION*/
+// Server-side classifier for clients that cannot run the model on the device. MODEL_PATH is an
+// ONNX export of the rice-leaf classifier (convert TFLite models with tf2onnx); output index i
+// is the score for rice_leaf_disease_id i.
+const MODEL_PATH = path.resolve(process.env.MODEL_PATH || 'models/rice_leaf_classifier.onnx');
+const MODEL_VERSION = process.env.MODEL_VERSION || path.basename(MODEL_PATH, path.extname(MODEL_PATH));
+const MODEL_INPUT_SIZE = parseInt(process.env.MODEL_INPUT_SIZE, 10) || 224;
+const MODEL_INPUT_LAYOUT = process.env.MODEL_INPUT_LAYOUT === 'nchw' ? 'nchw' : 'nhwc';
+// Pixel scaling used in training: 'unit' (0..1), 'signed' (-1..1), 'imagenet' or 'raw' (0..255)
+const MODEL_NORMALIZATION = process.env.MODEL_NORMALIZATION || 'unit';
+const MODEL_THREADS = parseInt(process.env.MODEL_THREADS, 10) || 1;
+const PREDICT_TOP_K = parseInt(process.env.PREDICT_TOP_K, 10) || 3;
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+// Error for predictions requested while no model can be loaded
+class ModelUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelUnavailableError';
+        this.status = 503;
+    }
+}
+// Load the model once; a failed load is retried on the next request
+let classifierSession = null;
+function getClassifier() {
+    if (!classifierSession) {
+        classifierSession = (async () => {
+            try {
+                await fs.promises.access(MODEL_PATH);
+            } catch (err) {
+                throw new ModelUnavailableError('Prediction model is not available');
+            }
+            return ort.InferenceSession.create(MODEL_PATH, {
+                executionProviders: ['cpu'],
+                intraOpNumThreads: MODEL_THREADS,
+                interOpNumThreads: 1
+            });
+        })();
+        classifierSession.catch(() => {
+            classifierSession = null;
         });
-
+    }
+    return classifierSession;
+}
+function normalizePixel(value, channel) {
+    switch (MODEL_NORMALIZATION) {
+        case 'signed':
+            return value / 127.5 - 1;
+        case 'imagenet':
+            return (value / 255 - IMAGENET_MEAN[channel]) / IMAGENET_STD[channel];
+        case 'raw':
+            return value;
+        default:
+            return value / 255;
+    }
+}
+// Resize an image to the model input and lay out its RGB values as a float tensor
+async function imageToTensor(buffer) {
+    const size = MODEL_INPUT_SIZE;
+    let pixels;
+    try {
+        pixels = await sharp(buffer, { limitInputPixels: IMAGE_MAX_DIMENSION * IMAGE_MAX_DIMENSION })
+            .rotate()
+            .removeAlpha()
+            .toColourspace('srgb')
+            .resize(size, size, { fit: 'fill' })
+            .raw()
+            .toBuffer();
     } catch (err) {
-        console.error('Resend password OTP error:', err);
-        res.status(500).json({
-            message: "Server error during OTP resend",
-            error: err.message
-        });
+        throw new ImageValidationError('File is not a supported image');
+    }
+
+    const area = size * size;
+    const data = new Float32Array(area * 3);
+    for (let i = 0; i < area; i++) {
+        for (let channel = 0; channel < 3; channel++) {
+            const index = MODEL_INPUT_LAYOUT === 'nchw' ? channel * area + i : i * 3 + channel;
+            data[index] = normalizePixel(pixels[i * 3 + channel], channel);
+        }
     }
-});
-// Change Password
-app.post("/reset-password", async (req, res) => {
-    const { email, newPassword } = req.body;
 
-    if (!email || !newPassword) {
-        return res.status(400).json({ error: 'Email and new password are required' });
+    const dims = MODEL_INPUT_LAYOUT === 'nchw' ? [1, 3, size, size] : [1, size, size, 3];
+    return new ort.Tensor('float32', data, dims);
+}
+// Models exported without a final softmax return logits
+function toProbabilities(scores) {
+    const sum = scores.reduce((total, score) => total + score, 0);
+    if (scores.every(score => score >= 0 && score <= 1) && Math.abs(sum - 1) < 1e-3) {
+        return scores;
+    }
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const total = exps.reduce((acc, value) => acc + value, 0);
+    return exps.map(value => value / total);
+}
+// Classify an image, returning every class as { class, probability }, most probable first
+async function classifyImage(buffer) {
+    const session = await getClassifier();
+    const input = await imageToTensor(buffer);
+    const output = await session.run({ [session.inputNames[0]]: input });
+    const probabilities = toProbabilities(Array.from(output[session.outputNames[0]].data));
+
+    return probabilities
+        .map((probability, index) => ({ class: index, probability }))
+        .sort((a, b) => b.probability - a.probability);
+}
+// Predict the disease in an uploaded "image" or a scan_image the caller uploaded or scanned before.
+// With save=true the result is stored for the caller like POST /save.
+app.post('/predict', authenticateToken, uploadImage('image', { optional: true }), validate({
+    query: { lang: langRule },
+    body: {
+        scan_image: { type: 'string', maxLength: 2000 },
+        top_k: { type: 'int', min: 1, max: MAX_SCAN_PREDICTIONS, default: PREDICT_TOP_K },
+        save: { type: 'boolean', default: false },
+        app_version: { type: 'string', maxLength: 50 },
+        flag_for_review: { type: 'boolean', default: false },
+        review_comment: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
+    if (!req.file && !req.body.scan_image) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'image', message: 'image or scan_image is required' }]
+        });
     }
 
     try {
-        const getUserQuery = `
-            SELECT user_id 
-            FROM user_profiles 
-            WHERE email = @param0`;
+        let scanImage = req.file ? null : toObjectName(bucket_scan, req.body.scan_image);
+        let buffer;
+        if (req.file) {
+            buffer = req.file.buffer;
+        } else {
+            // Someone else's image is reported as missing rather than forbidden
+            if (!await ownsScanImage(req.user.id, scanImage) || !await bucket_scan.exists(scanImage)) {
+                return res.status(404).json({ success: false, message: 'Scan image not found' });
+            }
+            buffer = await bucket_scan.download(scanImage);
+        }
 
-        const userResults = await executeQuery(getUserQuery, [
-            { type: TYPES.VarChar, value: email }
+        const ranked = await classifyImage(buffer);
+
+        // Keep only classes the knowledge base has a disease for
+        const language = resolveLanguage(req);
+        const diseaseRows = await executeQuery(`
+            SELECT rld.rice_leaf_disease_id, ISNULL(rldt.name, rld.rice_leaf_disease)
+            FROM rice_leaf_disease rld
+            LEFT JOIN disease_translations rldt
+                ON rldt.rice_leaf_disease_id = rld.rice_leaf_disease_id AND rldt.language_code = @param0
+        `, [
+            { type: TYPES.NVarChar, value: language }
         ]);
+        const diseaseNames = new Map(diseaseRows.map(row => [row[0].value, row[1].value]));
+        const predictions = ranked.filter(prediction => diseaseNames.has(prediction.class)).slice(0, req.body.top_k);
+        if (predictions.length === 0) {
+            throw new Error('Model output does not match any rice_leaf_disease_id');
+        }
 
-        if (!userResults || userResults.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        let saved = null;
+        if (req.body.save) {
+            if (req.file) {
+                const stored = await storeImage(bucket_scan, req.file.buffer, IMAGE_PROFILES.scan);
+                scanImage = stored.imageRef;
+            }
+            saved = await saveScan({
+                userId: req.user.id,
+                diseaseId: predictions[0].class,
+                score: predictions[0].probability,
+                scanImage,
+                predictions,
+                modelVersion: MODEL_VERSION,
+                appVersion: req.body.app_version,
+                flagForReview: req.body.flag_for_review,
+                reviewComment: req.body.review_comment
+            });
         }
-        
-        const userId = userResults[0][0].value;
 
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+        res.json({
+            success: true,
+            data: {
+                modelVersion: MODEL_VERSION,
+                diseaseId: predictions[0].class,
+                disease: diseaseNames.get(predictions[0].class),
+                probability: predictions[0].probability,
+                confidence: Math.round(predictions[0].probability * 100),
+                predictions: predictions.map(prediction => ({
+                    diseaseId: prediction.class,
+                    disease: diseaseNames.get(prediction.class),
+                    probability: prediction.probability,
+                    confidence: Math.round(prediction.probability * 100)
+                })),
+                scanImage,
+                saved: saved ? { rice_leaf_scan_id: saved.scanId, queued_for_review: saved.queuedForReview } : null
+            }
+        });
+    } catch (error) {
+        if (error instanceof ImageValidationError || error instanceof ModelUnavailableError) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Prediction error:', error);
+        res.status(500).json({ success: false, message: 'Prediction failed' });
+    }
+});
 
-        const updatePasswordQuery = `
-            UPDATE user_credentials 
-            SET password = @param0,
-                updated_at = GETDATE()
-            WHERE user_id = @param1`;
 
-        await executeQuery(updatePasswordQuery, [
-            { type: TYPES.VarChar, value: hashedPassword },
-            { type: TYPES.Int, value: userId }
-        ]);
+/*EXPERT REVIEW*/
+// Scans saved below this confidence are queued for an agronomist
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6;
+// A claim not labeled within this time returns the scan to the queue
+const REVIEW_CLAIM_TTL = parseInt(process.env.REVIEW_CLAIM_TTL, 10) || 2 * 60 * 60 * 1000;
+const REVIEW_REASONS = { LOW_CONFIDENCE: 'low_confidence', FLAGGED: 'flagged' };
+const REVIEW_STATUSES = ['pending', 'claimed', 'labeled'];
+// Add a scan to the review queue; returns false when it is already queued
+async function queueScanForReview(db, scanId, reason, comment) {
+    const result = await db.executeQuery(`
+        INSERT INTO scan_reviews (rice_leaf_scan_id, reason, farmer_comment, status, created_at)
+        SELECT @param0, @param1, @param2, 'pending', GETDATE()
+        WHERE NOT EXISTS (SELECT 1 FROM scan_reviews WHERE rice_leaf_scan_id = @param0);
+
+        SELECT @@ROWCOUNT AS affected;
+    `, [
+        { type: TYPES.Int, value: scanId },
+        { type: TYPES.NVarChar, value: reason },
+        { type: TYPES.NVarChar, value: comment || null }
+    ]);
+    return result[0][0].value > 0;
+}
+// Columns and joins for listing reviews with the scan and both labels
+const REVIEW_COLUMNS = `
+    sr.review_id,
+    sr.rice_leaf_scan_id,
+    sr.reason,
+    sr.farmer_comment,
+    sr.status,
+    sr.claimed_by,
+    sr.claimed_at,
+    sr.expert_disease_id,
+    erld.rice_leaf_disease AS expert_disease,
+    sr.expert_comment,
+    sr.reviewed_by,
+    sr.reviewed_at,
+    sr.created_at,
+    rls.rice_leaf_disease_id,
+    rld.rice_leaf_disease,
+    rls.disease_confidence_score,
+    rls.scan_image,
+    rls.created_at AS scanned_at`;
+const REVIEW_JOINS = `
+    JOIN rice_leaf_scan rls ON rls.rice_leaf_scan_id = sr.rice_leaf_scan_id
+    JOIN rice_leaf_disease rld ON rld.rice_leaf_disease_id = rls.rice_leaf_disease_id
+    LEFT JOIN rice_leaf_disease erld ON erld.rice_leaf_disease_id = sr.expert_disease_id`;
+// Claims older than this are treated as released
+function claimExpiry() {
+    return new Date(Date.now() - REVIEW_CLAIM_TTL);
+}
+// Convert review rows to the API shape, reporting expired claims as pending. Predictions
+// for the whole page are loaded together.
+async function toReviews(rows) {
+    const reviews = rows.map(columns => {
+        const row = {};
+        columns.forEach(column => {
+            row[column.metadata.colName] = column.value;
+        });
+        return row;
+    });
+    const predictions = await getScanPredictions(reviews.map(row => row.rice_leaf_scan_id));
 
-        res.json({ message: 'Password updated successfully' });
+    return Promise.all(reviews.map(row => toReview(row, predictions.get(row.rice_leaf_scan_id))));
+}
+async function toReview(row, predictions) {
+    const claimExpired = row.status === 'claimed' && new Date(row.claimed_at) < claimExpiry();
+    return {
+        id: row.review_id,
+        scanId: row.rice_leaf_scan_id,
+        reason: row.reason,
+        farmerComment: row.farmer_comment,
+        status: claimExpired ? 'pending' : row.status,
+        claimedBy: claimExpired ? null : row.claimed_by,
+        claimedAt: claimExpired ? null : row.claimed_at,
+        createdAt: row.created_at,
+        scan: {
+            image: await resolveImageUrl(bucket_scan, row.scan_image),
+            diseaseId: row.rice_leaf_disease_id,
+            disease: row.rice_leaf_disease,
+            confidence: Math.round(row.disease_confidence_score * 100),
+            date: row.scanned_at,
+            predictions
+        },
+        verdict: row.status === 'labeled' ? {
+            diseaseId: row.expert_disease_id,
+            disease: row.expert_disease,
+            comment: row.expert_comment,
+            reviewedBy: row.reviewed_by,
+            reviewedAt: row.reviewed_at
+        } : null
+    };
+}
+// Load one review, or null when it does not exist
+async function getReview(reviewId, db = { executeQuery }) {
+    const result = await db.executeQuery(`
+        SELECT ${REVIEW_COLUMNS}
+        FROM scan_reviews sr
+        ${REVIEW_JOINS}
+        WHERE sr.review_id = @param0
+    `, [
+        { type: TYPES.Int, value: reviewId }
+    ]);
+    return result.length > 0 ? (await toReviews(result))[0] : null;
+}
+// Ask for an expert review of one of the caller's scans
+app.post('/api/scans/:scanId/review', authenticateToken, validate({
+    params: { scanId: idRule },
+    body: { comment: { type: 'string', maxLength: 500 } }
+}), async (req, res) => {
+    try {
+        const scan = await getOwnedScan(req, res);
+        if (!scan) {
+            return;
+        }
+
+        const queued = await queueScanForReview({ executeQuery }, scan.id, REVIEW_REASONS.FLAGGED, req.body.comment);
+        if (!queued) {
+            return res.status(409).json({ success: false, message: 'This scan is already in the review queue' });
+        }
 
+        res.status(201).json({ success: true, message: 'Scan sent for expert review' });
     } catch (error) {
-        console.error('Password reset error:', error);
-        console.error('Error details:', {
-            message: error.message,
-            stack: error.stack,
-            query: error.query
-        });
-        res.status(500).json({ 
-            error: 'Internal server error',
-            details: error.message 
-        });
+        console.error('Error requesting scan review:', error);
+        res.status(500).json({ success: false, message: 'Failed to request review' });
     }
 });
-
-
-/*PROFILE PROCESS*/
-// get profile
-app.get('/api/profile/:userId', async (req, res) => {
-    const { userId } = req.params;
-    
+// Review queue for agronomists, oldest first. status=pending includes expired claims;
+// mine=true limits the list to the caller's claims and verdicts.
+app.get('/api/reviews', authenticateToken, staffOnly, validate({
+    query: {
+        status: { type: 'string', values: REVIEW_STATUSES, default: 'pending' },
+        mine: { type: 'boolean', default: false },
+        after: { type: 'int', min: 1 },
+        limit: { type: 'int', min: 1, max: 100, default: 20 }
+    }
+}), async (req, res) => {
     try {
-        const query = `
-            SELECT 
-                user_profiles_id,
-                user_id,
-                firstname,
-                lastname,
-                birthdate,
-                gender,
-                mobile_number,
-                address_id,
-                email,
-                profile_image,
-                created_at,
-                updated_at
-            FROM user_profiles
-            WHERE user_id = @param0
-        `;
-        
+        const { status, mine, after, limit } = req.query;
         const params = [
-            {
-                type: TYPES.Int,
-                value: parseInt(userId, 10)
-            }
+            { type: TYPES.DateTime2, value: claimExpiry() }
         ];
+        const conditions = [];
 
-        console.log("Executing Query:", query);
-        console.log("Parameters:", params);
-
-        const results = await executeQuery(query, params);
-
-        if (results.length > 0) {
-            const userProfile = {};
-            results[0].forEach(column => {
-                userProfile[column.metadata.colName] = column.value;
-            });
-
-            res.json({
-                success: true,
-                data: {
-                    firstname: userProfile.firstname,
-                    lastname: userProfile.lastname,
-                    email: userProfile.email,
-                    contactNumber: userProfile.mobile_number,
-                    birthdate: userProfile.birthdate,
-                    gender: userProfile.gender,
-                    image: userProfile.profile_image
-                }
-            });
+        if (status === 'pending') {
+            conditions.push(`(sr.status = 'pending' OR (sr.status = 'claimed' AND sr.claimed_at < @param0))`);
+        } else if (status === 'claimed') {
+            conditions.push(`sr.status = 'claimed' AND sr.claimed_at >= @param0`);
         } else {
-            res.status(404).json({ success: false, message: 'User profile not found' });
+            conditions.push(`sr.status = 'labeled'`);
+        }
+        if (mine) {
+            conditions.push(`(sr.claimed_by = @param${params.length} OR sr.reviewed_by = @param${params.length})`);
+            params.push({ type: TYPES.Int, value: req.user.id });
         }
+        if (after !== undefined) {
+            conditions.push(`sr.review_id > @param${params.length}`);
+            params.push({ type: TYPES.Int, value: after });
+        }
+        params.push({ type: TYPES.Int, value: limit });
+
+        const results = await executeQuery(`
+            SELECT ${REVIEW_COLUMNS}
+            FROM scan_reviews sr
+            ${REVIEW_JOINS}
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY sr.review_id
+            OFFSET 0 ROWS FETCH NEXT @param${params.length - 1} ROWS ONLY
+        `, params);
+
+        res.json({ success: true, data: await toReviews(results) });
     } catch (error) {
-        console.error('Error fetching user profile:', error);
-        res.status(500).json({ success: false, message: 'Failed to fetch user profile' });
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch review queue' });
     }
 });
-app.post('/upload-profile', multer().single('image'), async (req, res) => {
+// One queued scan
+app.get('/api/reviews/:reviewId', authenticateToken, staffOnly, validate({
+    params: { reviewId: idRule }
+}), async (req, res) => {
     try {
-        const file = req.file;
-        const fileName = `${Date.now()}-${file.originalname}`;
-        
-        const blob = bucket_profile.file(fileName);
-        const blobStream = blob.createWriteStream();
-
-        blobStream.on('finish', async () => {
-            const publicUrl = `https://storage.googleapis.com/${bucket_profile.name}/${fileName}`;
-            res.status(200).json({ imageUrl: publicUrl });
-        });
-
-        blobStream.on('error', (err) => {
-            res.status(500).json({ error: 'Upload failed', details: err.message });
-        });
-
-        blobStream.end(file.buffer);
+        const review = await getReview(req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ success: false, message: 'Review not found' });
+        }
+        res.json({ success: true, data: review });
     } catch (error) {
-        res.status(500).json({ error: 'Upload failed', details: error.message });
+        console.error('Error fetching review:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch review' });
     }
 });
-app.put('/api/profile/update', async (req, res) => {
+// Claim a queued scan so no other agronomist labels it at the same time
+app.post('/api/reviews/:reviewId/claim', authenticateToken, staffOnly, validate({
+    params: { reviewId: idRule }
+}), async (req, res) => {
     try {
-        const { userId, firstname, lastname, birthdate, contactNumber, image } = req.body;
+        const result = await executeQuery(`
+            UPDATE scan_reviews
+            SET status = 'claimed',
+                claimed_by = @param1,
+                claimed_at = GETDATE()
+            WHERE review_id = @param0
+                AND (status = 'pending'
+                    OR (status = 'claimed' AND (claimed_at < @param2 OR claimed_by = @param1)));
+
+            SELECT @@ROWCOUNT AS affected;
+        `, [
+            { type: TYPES.Int, value: req.params.reviewId },
+            { type: TYPES.Int, value: req.user.id },
+            { type: TYPES.DateTime2, value: claimExpiry() }
+        ]);
 
-        // Validate required fields
-        if (!userId) {
-            return res.status(400).json({
+        if (result[0][0].value === 0) {
+            const review = await getReview(req.params.reviewId);
+            if (!review) {
+                return res.status(404).json({ success: false, message: 'Review not found' });
+            }
+            return res.status(409).json({
                 success: false,
-                message: 'User ID is required'
+                message: review.status === 'labeled' ? 'This scan has already been labeled' : 'This scan is claimed by another reviewer'
             });
         }
 
-        // Construct update query with only provided fields
-        let updateFields = [];
-        let params = [
-            { type: TYPES.Int, value: parseInt(userId, 10) }
-        ];
-        let paramIndex = 1;
-
-        if (firstname) {
-            updateFields.push(`firstname = @param${paramIndex}`);
-            params.push({ type: TYPES.NVarChar, value: firstname });
-            paramIndex++;
-        }
+        res.json({ success: true, data: await getReview(req.params.reviewId) });
+    } catch (error) {
+        console.error('Error claiming review:', error);
+        res.status(500).json({ success: false, message: 'Failed to claim review' });
+    }
+});
+// Give up a claim, returning the scan to the queue
+app.post('/api/reviews/:reviewId/release', authenticateToken, staffOnly, validate({
+    params: { reviewId: idRule }
+}), async (req, res) => {
+    try {
+        const result = await executeQuery(`
+            UPDATE scan_reviews
+            SET status = 'pending',
+                claimed_by = NULL,
+                claimed_at = NULL
+            WHERE review_id = @param0 AND status = 'claimed' AND claimed_by = @param1;
+
+            SELECT @@ROWCOUNT AS affected;
+        `, [
+            { type: TYPES.Int, value: req.params.reviewId },
+            { type: TYPES.Int, value: req.user.id }
+        ]);
 
-        if (lastname) {
-            updateFields.push(`lastname = @param${paramIndex}`);
-            params.push({ type: TYPES.NVarChar, value: lastname });
-            paramIndex++;
+        if (result[0][0].value === 0) {
+            return res.status(409).json({ success: false, message: 'You do not hold a claim on this scan' });
         }
+        res.json({ success: true, message: 'Claim released' });
+    } catch (error) {
+        console.error('Error releasing review:', error);
+        res.status(500).json({ success: false, message: 'Failed to release review' });
+    }
+});
+// Label a claimed scan with the correct disease and tell the farmer
+app.post('/api/reviews/:reviewId/label', authenticateToken, staffOnly, validate({
+    params: { reviewId: idRule },
+    body: {
+        diseaseId: { type: 'int', required: true, min: 0 },
+        comment: { type: 'string', maxLength: 2000 }
+    }
+}), async (req, res) => {
+    try {
+        const { diseaseId, comment } = req.body;
 
-        if (birthdate) {
-            updateFields.push(`birthdate = @param${paramIndex}`);
-            params.push({ type: TYPES.Date, value: new Date(birthdate) });
-            paramIndex++;
+        const disease = await executeQuery(`
+            SELECT rice_leaf_disease FROM rice_leaf_disease WHERE rice_leaf_disease_id = @param0
+        `, [
+            { type: TYPES.Int, value: diseaseId }
+        ]);
+        if (disease.length === 0) {
+            return res.status(400).json({ success: false, message: `Disease ${diseaseId} does not exist` });
         }
 
-        if (contactNumber) {
-            updateFields.push(`mobile_number = @param${paramIndex}`);
-            params.push({ type: TYPES.NVarChar, value: contactNumber });
-            paramIndex++;
-        }
+        // The claim must still be the caller's and not have expired
+        const result = await executeQuery(`
+            UPDATE scan_reviews
+            SET status = 'labeled',
+                expert_disease_id = @param2,
+                expert_comment = @param3,
+                reviewed_by = @param1,
+                reviewed_at = GETDATE()
+            WHERE review_id = @param0
+                AND status = 'claimed'
+                AND claimed_by = @param1
+                AND claimed_at >= @param4;
+
+            SELECT @@ROWCOUNT AS affected;
+        `, [
+            { type: TYPES.Int, value: req.params.reviewId },
+            { type: TYPES.Int, value: req.user.id },
+            { type: TYPES.Int, value: diseaseId },
+            { type: TYPES.NVarChar, value: comment || null },
+            { type: TYPES.DateTime2, value: claimExpiry() }
+        ]);
 
-        if (image) {
-            updateFields.push(`profile_image = @param${paramIndex}`);
-            params.push({ type: TYPES.NVarChar, value: image });
-            paramIndex++;
+        if (result[0][0].value === 0) {
+            const existing = await getReview(req.params.reviewId);
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Review not found' });
+            }
+            return res.status(409).json({ success: false, message: 'Claim this scan before labeling it' });
         }
 
-        updateFields.push(`updated_at = GETDATE()`);
-
-        const updateQuery = `
-            UPDATE user_profiles 
-            SET ${updateFields.join(', ')}
-            WHERE user_id = @param0;
-            
-            SELECT @@ROWCOUNT as affected;
-        `;
-
-        const result = await executeQuery(updateQuery, params);
-        const rowsAffected = result[0][0].value;
+        const review = await getReview(req.params.reviewId);
 
-        if (rowsAffected > 0) {
-            res.json({
-                success: true,
-                message: 'Profile updated successfully'
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                message: 'User profile not found'
+        // The verdict is saved; a failed notification should not undo it
+        try {
+            const scan = await getScan(review.scanId);
+            const confirmed = review.verdict.diseaseId === review.scan.diseaseId;
+            await sendUserNotification(scan.userId, {
+                title: 'Your scan was reviewed',
+                body: confirmed
+                    ? `An agronomist confirmed the result: ${review.verdict.disease}.`
+                    : `An agronomist identified ${review.verdict.disease} (the app detected ${review.scan.disease}).`,
+                data: {
+                    type: 'scan_review',
+                    icon: 'check',
+                    iconBgColor: confirmed ? 'green' : 'orange',
+                    scanId: review.scanId,
+                    reviewId: review.id,
+                    diseaseId: review.verdict.diseaseId
+                }
             });
+        } catch (notifyError) {
+            console.error('Error notifying farmer of review:', notifyError);
         }
+
+        res.json({ success: true, data: review });
     } catch (error) {
-        console.error('Profile update error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update profile',
-            error: error.message
-        });
+        console.error('Error labeling review:', error);
+        res.status(500).json({ success: false, message: 'Failed to label review' });
     }
 });
 
 
-/*SCAN PROCESS*/
-// Upload endpoint
-app.post('/upload', multer().single('image'), async (req, res) => {
-    try {
-        const file = req.file;
-        const fileName = `${Date.now()}-${file.originalname}`;
-        
-        const blob = bucket_scan.file(fileName);
-        const blobStream = blob.createWriteStream();
-
-        blobStream.on('finish', async () => {
-            const publicUrl = `https://storage.googleapis.com/${bucket_scan.name}/${fileName}`;
-            res.status(200).json({ imageUrl: publicUrl });
+/*DATASET EXPORT*/
+// Manifest formats: content type and file extension of the stored export
+const DATASET_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+    coco: { contentType: 'application/json', extension: 'json' }
+};
+const DEFAULT_DATASET_SPLIT = { train: 0.8, val: 0.1, test: 0.1 };
+const DATASET_SPLITS = Object.keys(DEFAULT_DATASET_SPLIT);
+// Scans read per query while writing a manifest
+const DATASET_PAGE_SIZE = 1000;
+// A running export refreshes heartbeat_at this often; jobs whose heartbeat is older than
+// DATASET_EXPORT_STALE_AFTER were lost with the instance running them
+const DATASET_EXPORT_HEARTBEAT_INTERVAL = 60 * 1000;
+const DATASET_EXPORT_STALE_AFTER = parseInt(process.env.DATASET_EXPORT_STALE_AFTER, 10) || 10 * 60 * 1000;
+// WHERE clause and parameters for the export filters. The label is the agronomist's verdict
+// when the scan was reviewed, otherwise the model's prediction.
+function datasetConditions(filters) {
+    const conditions = ['1 = 1'];
+    const params = [];
+    const addCondition = (condition, type, value) => {
+        conditions.push(condition.replace(/\?/g, `@param${params.length}`));
+        params.push({ type, value });
+    };
+
+    if (filters.from) {
+        addCondition('rls.created_at >= ?', TYPES.DateTime2, new Date(filters.from));
+    }
+    if (filters.to) {
+        // "to" is inclusive of the whole day
+        const end = new Date(filters.to);
+        end.setUTCDate(end.getUTCDate() + 1);
+        addCondition('rls.created_at < ?', TYPES.DateTime2, end);
+    }
+    if (filters.minConfidence !== undefined) {
+        addCondition('rls.disease_confidence_score >= ?', TYPES.Float, filters.minConfidence / 100);
+    }
+    if (filters.maxConfidence !== undefined) {
+        addCondition('rls.disease_confidence_score <= ?', TYPES.Float, filters.maxConfidence / 100);
+    }
+    if (filters.modelVersion) {
+        addCondition('rls.model_version = ?', TYPES.NVarChar, filters.modelVersion);
+    }
+    if (filters.reviewedOnly) {
+        conditions.push('sr.expert_disease_id IS NOT NULL');
+    }
+    if (filters.diseases && filters.diseases.length > 0) {
+        const placeholders = filters.diseases.map(diseaseId => {
+            params.push({ type: TYPES.Int, value: diseaseId });
+            return `@param${params.length - 1}`;
         });
+        conditions.push(`ISNULL(sr.expert_disease_id, rls.rice_leaf_disease_id) IN (${placeholders.join(', ')})`);
+    }
 
-        blobStream.on('error', (err) => {
-            res.status(500).json({ error: 'Upload failed', details: err.message });
-        });
+    return { where: conditions.join(' AND '), params };
+}
+const DATASET_JOINS = `
+    JOIN rice_leaf_disease rld ON rld.rice_leaf_disease_id = rls.rice_leaf_disease_id
+    LEFT JOIN scan_reviews sr ON sr.rice_leaf_scan_id = rls.rice_leaf_scan_id AND sr.status = 'labeled'
+    LEFT JOIN rice_leaf_disease erld ON erld.rice_leaf_disease_id = sr.expert_disease_id`;
+// Id and label of every scan in the export; enough to assign splits without loading the rows
+async function loadDatasetLabels(filters) {
+    const { where, params } = datasetConditions(filters);
+    const results = await executeQuery(`
+        SELECT
+            rls.rice_leaf_scan_id,
+            ISNULL(sr.expert_disease_id, rls.rice_leaf_disease_id) AS label_id,
+            ISNULL(erld.rice_leaf_disease, rld.rice_leaf_disease) AS label
+        FROM rice_leaf_scan rls
+        ${DATASET_JOINS}
+        WHERE ${where}
+        ORDER BY rls.rice_leaf_scan_id
+    `, params);
+    return results.map(row => ({ scanId: row[0].value, labelId: row[1].value, label: row[2].value }));
+}
+// Export rows in scan id order, one page at a time, with their assigned split
+async function* datasetItems(filters, splits) {
+    let afterScanId = 0;
+    for (;;) {
+        const { where, params } = datasetConditions(filters);
+        params.push(
+            { type: TYPES.Int, value: afterScanId },
+            { type: TYPES.Int, value: DATASET_PAGE_SIZE }
+        );
+        const results = await executeQuery(`
+            SELECT
+                rls.rice_leaf_scan_id,
+                rls.user_id,
+                rls.scan_image,
+                rls.rice_leaf_disease_id,
+                rld.rice_leaf_disease,
+                rls.disease_confidence_score,
+                sr.expert_disease_id,
+                erld.rice_leaf_disease AS expert_disease,
+                ISNULL(sh.date_captured, rls.created_at) AS captured_at,
+                rls.model_version
+            FROM rice_leaf_scan rls
+            ${DATASET_JOINS}
+            LEFT JOIN scan_history sh ON sh.rice_leaf_scan_id = rls.rice_leaf_scan_id
+            WHERE ${where} AND rls.rice_leaf_scan_id > @param${params.length - 2}
+            ORDER BY rls.rice_leaf_scan_id
+            OFFSET 0 ROWS FETCH NEXT @param${params.length - 1} ROWS ONLY
+        `, params);
+
+        for (const row of results) {
+            const expertLabelId = row[6].value;
+            const capturedAt = row[8].value;
+            // Scans added after the splits were assigned are left out
+            if (!splits.has(row[0].value)) {
+                continue;
+            }
+            yield {
+                scanId: row[0].value,
+                userId: parseInt(row[1].value, 10),
+                image: toObjectName(bucket_scan, row[2].value),
+                modelLabelId: row[3].value,
+                modelLabel: row[4].value,
+                confidence: row[5].value,
+                expertLabelId: expertLabelId,
+                expertLabel: row[7].value,
+                labelId: expertLabelId !== null ? expertLabelId : row[3].value,
+                label: expertLabelId !== null ? row[7].value : row[4].value,
+                capturedAt: capturedAt instanceof Date ? capturedAt.toISOString() : capturedAt,
+                modelVersion: row[9].value,
+                split: splits.get(row[0].value)
+            };
+        }
 
-        blobStream.end(file.buffer);
-    } catch (error) {
-        res.status(500).json({ error: 'Upload failed', details: error.message });
+        if (results.length < DATASET_PAGE_SIZE) {
+            return;
+        }
+        afterScanId = results[results.length - 1][0].value;
     }
-});
-// Scan endpoint
-app.post("/save", async (req, res) => {
-    try {
-        const { user_profile_id, disease_prediction, disease_prediction_score, scan_image } = req.body;
-        
-        const missingFields = [];
-
-        if (!scan_image) missingFields.push('scan_image');
-        if (!user_profile_id) missingFields.push('user_profile_id');
-        if (disease_prediction_score === null || disease_prediction_score === undefined) 
-        {
-            missingFields.push('disease_prediction_score');
+}
+// Stratified split: within each label, order scans by a seeded hash and cut by the split ratios,
+// so every label keeps the same proportions and the same seed always gives the same split
+function assignDatasetSplits(items, split, seed) {
+    const byLabel = new Map();
+    items.forEach(item => {
+        if (!byLabel.has(item.labelId)) {
+            byLabel.set(item.labelId, []);
         }
-        if (disease_prediction === null || disease_prediction === undefined) 
-        {
-            missingFields.push('disease_prediction');
+        byLabel.get(item.labelId).push(item);
+    });
+
+    for (const group of byLabel.values()) {
+        const ranked = group
+            .map(item => ({ item, key: crypto.createHash('sha256').update(`${seed}:${item.scanId}`).digest('hex') }))
+            .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+        const trainCount = Math.round(ranked.length * split.train);
+        const valCount = Math.min(Math.round(ranked.length * split.val), ranked.length - trainCount);
+
+        ranked.forEach(({ item }, index) => {
+            item.split = index < trainCount ? 'train' : (index < trainCount + valCount ? 'val' : 'test');
+        });
+    }
+}
+// Quote a CSV field when needed
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+// One manifest row; de-identified exports leave out the user id
+function toDatasetRecord(item, deidentify) {
+    const record = {
+        scan_id: item.scanId,
+        user_id: item.userId,
+        image: item.image,
+        bucket: bucket_scan.name,
+        label_id: item.labelId,
+        label: item.label,
+        model_label_id: item.modelLabelId,
+        model_label: item.modelLabel,
+        confidence: item.confidence,
+        expert_label_id: item.expertLabelId,
+        expert_label: item.expertLabel,
+        model_version: item.modelVersion,
+        captured_at: item.capturedAt,
+        split: item.split
+    };
+    if (deidentify) {
+        delete record.user_id;
+    }
+    return record;
+}
+// The manifest in the requested format, piece by piece, for piping into the export bucket
+async function* datasetManifest(filters, splits, categories, exportId, options) {
+    if (options.format === 'coco') {
+        const info = {
+            description: 'Rice leaf scans',
+            version: String(exportId),
+            date_created: new Date().toISOString(),
+            split_seed: options.seed
+        };
+        yield `{\n"info": ${JSON.stringify(info)},\n"categories": ${JSON.stringify(categories)},\n"images": [\n`;
+
+        let count = 0;
+        for await (const item of datasetItems(filters, splits)) {
+            const image = {
+                id: item.scanId,
+                file_name: item.image,
+                bucket: bucket_scan.name,
+                date_captured: item.capturedAt,
+                split: item.split,
+                model_version: item.modelVersion
+            };
+            if (!options.deidentify) {
+                image.user_id = item.userId;
+            }
+            yield (count++ > 0 ? ',\n' : '') + JSON.stringify(image);
         }
 
-        if (missingFields.length > 0) {
-            return res.status(400).json({ 
-                message: "Missing required fields", 
-                missingFields: missingFields 
-            });
+        // Annotations take a second pass so no more than a page is held at once
+        yield '\n],\n"annotations": [\n';
+        count = 0;
+        for await (const item of datasetItems(filters, splits)) {
+            const annotation = {
+                id: count + 1,
+                image_id: item.scanId,
+                category_id: item.labelId,
+                model_category_id: item.modelLabelId,
+                expert_verified: item.expertLabelId !== null
+            };
+            // The model's confidence only scores the label it predicted
+            if (item.labelId === item.modelLabelId) {
+                annotation.score = item.confidence;
+            }
+            yield (count++ > 0 ? ',\n' : '') + JSON.stringify(annotation);
         }
+        yield '\n]\n}\n';
+        return;
+    }
 
-        // Query to insert leaf scan
-        const leafScanQuery = `
-            INSERT INTO rice_leaf_scan (
-                user_id,
-                rice_leaf_disease_id,
-                disease_confidence_score,
-                created_at,
-                scan_image
-            ) 
-            VALUES (@param0, @param1, @param2, GETDATE(), @param3);
-            SELECT SCOPE_IDENTITY() as rice_leaf_scan_id;
-        `;
+    const columns = Object.keys(toDatasetRecord({}, options.deidentify));
+    if (options.format === 'csv') {
+        yield columns.join(',') + '\n';
+    }
+    for await (const item of datasetItems(filters, splits)) {
+        const record = toDatasetRecord(item, options.deidentify);
+        yield options.format === 'jsonl'
+            ? JSON.stringify(record) + '\n'
+            : columns.map(column => csvValue(record[column])).join(',') + '\n';
+    }
+}
+// Build an export and store it in the export bucket, recording the outcome on the job row
+async function runDatasetExport(exportId, options) {
+    const setStatus = (query, params) => executeQuery(query, [
+        { type: TYPES.Int, value: exportId },
+        ...params
+    ]);
+    const format = DATASET_FORMATS[options.format];
+    const objectName = `dataset-export-${exportId}.${format.extension}`;
+
+    // Show other instances the job is still alive
+    const heartbeat = setInterval(() => {
+        setStatus(`UPDATE dataset_exports SET heartbeat_at = GETDATE() WHERE export_id = @param0`, [])
+            .catch(err => console.error(`Error updating dataset export ${exportId} heartbeat:`, err));
+    }, DATASET_EXPORT_HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    let uploading = false;
+    try {
+        await setStatus(`
+            UPDATE dataset_exports SET status = 'running', heartbeat_at = GETDATE() WHERE export_id = @param0
+        `, []);
+
+        const labels = await loadDatasetLabels(options.filters);
+        assignDatasetSplits(labels, options.split, options.seed);
+        const splits = new Map(labels.map(item => [item.scanId, item.split]));
+
+        const diseases = await executeQuery(`
+            SELECT rice_leaf_disease_id, rice_leaf_disease FROM rice_leaf_disease ORDER BY rice_leaf_disease_id
+        `);
+        const categories = diseases.map(row => ({ id: row[0].value, name: row[1].value }));
+
+        // pipeline rejects on an error from either side (a failed upload or query) and
+        // destroys the upload, so the catch below sees it
+        uploading = true;
+        await pipeline(
+            Readable.from(datasetManifest(options.filters, splits, categories, exportId, options)),
+            await bucket_export.createWriteStream(objectName, { contentType: format.contentType })
+        );
 
-        const leafScanParams = [
-            { type: TYPES.VarChar, value: user_profile_id.toString() },
-            { type: TYPES.Int, value: parseInt(disease_prediction, 10) },
-            { type: TYPES.Float, value: parseFloat(disease_prediction_score) },
-            { type: TYPES.VarChar, value: scan_image }
-        ];
+        const summary = { splits: {}, labels: {} };
+        DATASET_SPLITS.forEach(split => {
+            summary.splits[split] = labels.filter(item => item.split === split).length;
+        });
+        labels.forEach(item => {
+            summary.labels[item.label] = (summary.labels[item.label] || 0) + 1;
+        });
 
+        // The watchdog may have failed the job meanwhile; its manifest is then discarded
+        const completed = await setStatus(`
+            UPDATE dataset_exports
+            SET status = 'completed',
+                object_name = @param1,
+                item_count = @param2,
+                summary = @param3,
+                completed_at = GETDATE()
+            WHERE export_id = @param0 AND status = 'running';
+
+            SELECT @@ROWCOUNT AS affected;
+        `, [
+            { type: TYPES.NVarChar, value: objectName },
+            { type: TYPES.Int, value: labels.length },
+            { type: TYPES.NVarChar, value: JSON.stringify(summary) }
+        ]);
+        if (completed[0][0].value === 0) {
+            console.warn(`Dataset export ${exportId} finished after it was marked as failed; discarding it`);
+            await bucket_export.delete(objectName)
+                .catch(deleteError => console.error('Error removing discarded export:', deleteError));
+        }
+    } catch (err) {
+        console.error(`Dataset export ${exportId} failed:`, err);
+        if (uploading) {
+            await bucket_export.delete(objectName)
+                .catch(deleteError => console.error('Error removing partial export:', deleteError));
+        }
+        await setStatus(`
+            UPDATE dataset_exports
+            SET status = 'failed',
+                error = @param1,
+                completed_at = GETDATE()
+            WHERE export_id = @param0
+        `, [
+            { type: TYPES.NVarChar, value: String(err.message).slice(0, 1000) }
+        ]).catch(updateError => console.error('Error recording export failure:', updateError));
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+// Fail export jobs whose instance stopped before finishing them (restart, scale-down);
+// they are never picked up again. Resolves to the number of jobs failed.
+async function failStaleDatasetExports() {
+    const result = await executeQuery(`
+        UPDATE dataset_exports
+        SET status = 'failed',
+            error = 'The export was interrupted before it finished. Start a new export.',
+            completed_at = GETDATE()
+        WHERE status IN ('queued', 'running') AND ISNULL(heartbeat_at, created_at) < @param0;
+
+        SELECT @@ROWCOUNT AS failed;
+    `, [
+        { type: TYPES.DateTime2, value: new Date(Date.now() - DATASET_EXPORT_STALE_AFTER) }
+    ]);
+    return result[0][0].value;
+}
+// Check for interrupted exports at startup and then periodically
+function startDatasetExportWatchdog() {
+    const check = async () => {
         try {
-            // Execute leaf scan insertion
-            const leafScanResult = await executeQuery(leafScanQuery, leafScanParams);
-            const rice_leaf_scan_id = leafScanResult[0][0].value;
+            const failed = await failStaleDatasetExports();
+            if (failed > 0) {
+                console.log(`Marked ${failed} interrupted dataset exports as failed`);
+            }
+        } catch (err) {
+            console.error('Dataset export watchdog error:', err);
+        }
+    };
+    check();
+    const timer = setInterval(check, DATASET_EXPORT_STALE_AFTER);
+    timer.unref();
+    return timer;
+}
+// Convert a job row to the API shape, with a download link once it is complete
+async function toDatasetExport(columns) {
+    const row = {};
+    columns.forEach(column => {
+        row[column.metadata.colName] = column.value;
+    });
 
-            // Insert into scan history
-            const scanHistoryQuery = `
-                INSERT INTO scan_history (
-                    rice_leaf_scan_id,
-                    date_captured
-                ) VALUES (@param0, GETDATE())
-            `;
+    return {
+        id: row.export_id,
+        status: row.status,
+        format: row.format,
+        options: JSON.parse(row.options),
+        itemCount: row.item_count,
+        summary: row.summary ? JSON.parse(row.summary) : null,
+        error: row.error,
+        requestedBy: row.requested_by,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+        downloadUrl: row.status === 'completed' ? await resolveImageUrl(bucket_export, row.object_name) : null
+    };
+}
+const DATASET_EXPORT_COLUMNS = `
+    export_id, status, format, options, object_name, item_count, summary,
+    error, requested_by, created_at, completed_at`;
+// Start an export job. It runs in the background; poll the job for its status and download link.
+app.post('/admin/dataset-exports', authenticateToken, adminOnly, validate({
+    body: {
+        format: { type: 'string', values: Object.keys(DATASET_FORMATS), default: 'jsonl' },
+        filters: {
+            type: 'object',
+            default: {},
+            fields: {
+                from: { type: 'date' },
+                to: { type: 'date' },
+                diseases: { type: 'array', maxItems: 50, items: { type: 'int', min: 0 } },
+                minConfidence: { type: 'number', min: 0, max: 100 },
+                maxConfidence: { type: 'number', min: 0, max: 100 },
+                modelVersion: { type: 'string', maxLength: 50 },
+                reviewedOnly: { type: 'boolean', default: false }
+            }
+        },
+        split: {
+            type: 'object',
+            default: DEFAULT_DATASET_SPLIT,
+            fields: {
+                train: { type: 'number', required: true, min: 0, max: 1 },
+                val: { type: 'number', required: true, min: 0, max: 1 },
+                test: { type: 'number', required: true, min: 0, max: 1 }
+            }
+        },
+        seed: { type: 'string', maxLength: 100 },
+        deidentify: { type: 'boolean', default: false }
+    }
+}), async (req, res) => {
+    const { format, filters, split, deidentify } = req.body;
 
-            const scanHistoryParams = [
-                { type: TYPES.Int, value: rice_leaf_scan_id }
-            ];
+    if (Math.abs(split.train + split.val + split.test - 1) > 0.001) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [{ location: 'body', field: 'split', message: 'split ratios must add up to 1' }]
+        });
+    }
 
-            await executeQuery(scanHistoryQuery, scanHistoryParams);
+    try {
+        // Keep the seed with the job so the split can be reproduced
+        const options = {
+            format,
+            filters,
+            split,
+            seed: req.body.seed || crypto.randomBytes(8).toString('hex'),
+            deidentify
+        };
 
-            res.status(201).json({ 
-                message: "Scan data saved successfully",
-                rice_leaf_scan_id: rice_leaf_scan_id
-            });
+        const result = await executeQuery(`
+            INSERT INTO dataset_exports (status, format, options, requested_by, created_at)
+            VALUES ('queued', @param0, @param1, @param2, GETDATE());
+
+            SELECT ${DATASET_EXPORT_COLUMNS}
+            FROM dataset_exports
+            WHERE export_id = SCOPE_IDENTITY();
+        `, [
+            { type: TYPES.NVarChar, value: format },
+            { type: TYPES.NVarChar, value: JSON.stringify(options) },
+            { type: TYPES.Int, value: req.user.id }
+        ]);
+        const job = await toDatasetExport(result[0]);
 
-        } catch (error) {
-            console.error('Detailed error:', error);
-            res.status(500).json({ 
-                message: "Server error during scan data saving",
-                error: error.message
-            });
-        }
-    } catch (err) {
-        console.error('Detailed error:', err);
-        res.status(500).json({ 
-            message: "Server error during scan data saving",
-            error: err.message
-        });
-    } 
+        setImmediate(() => runDatasetExport(job.id, options));
+
+        res.status(202).json({ success: true, data: job });
+    } catch (error) {
+        console.error('Error starting dataset export:', error);
+        res.status(500).json({ success: false, message: 'Failed to start dataset export' });
+    }
 });
-// Disease Info Endpoint
-app.get('/disease-info/:classNumber', async (req, res) => {
+// Recent export jobs, newest first
+app.get('/admin/dataset-exports', authenticateToken, adminOnly, validate({
+    query: { limit: { type: 'int', min: 1, max: 100, default: 20 } }
+}), async (req, res) => {
     try {
-        const { classNumber } = req.params;
-        
-        const query = `
-            SELECT 
-              rld.rice_leaf_disease,
-              rld.description as disease_description,
-              rld.medicine_id,
-              rld.treatment_id,
-              lpt.treatment,
-              lpt.description as treatment_description,
-              rpm.rice_plant_medicine,
-              rpm.description as medicine_description
-            FROM 
-              rice_leaf_disease rld
-            LEFT JOIN 
-              local_practice_treatment lpt ON rld.treatment_id = lpt.treatment_id
-            LEFT JOIN 
-              rice_plant_medicine rpm ON rld.medicine_id = rpm.medicine_id
-            WHERE 
-              rld.rice_leaf_disease_id = @param0
-        `;
-        
-        const params = [
-            { type: TYPES.Int, value: parseInt(classNumber, 10) }
-        ];
-        
-        const result = await executeQuery(query, params);
-        
-        if (result.length === 0) {
-            return res.status(404).json({ 
-                error: 'No disease information found for the given class number' 
-            });
+        const results = await executeQuery(`
+            SELECT ${DATASET_EXPORT_COLUMNS}
+            FROM dataset_exports
+            ORDER BY export_id DESC
+            OFFSET 0 ROWS FETCH NEXT @param0 ROWS ONLY
+        `, [
+            { type: TYPES.Int, value: req.query.limit }
+        ]);
+
+        const data = [];
+        for (const row of results) {
+            data.push(await toDatasetExport(row));
         }
-        
-        // Convert Tedious result to a more readable object
-        const diseaseInfo = {
-            rice_leaf_disease: result[0][0].value,
-            disease_description: result[0][1].value,
-            medicine_id: result[0][2].value,
-            treatment_id: result[0][3].value,
-            treatment: result[0][4].value,
-            treatment_description: result[0][5].value,
-            rice_plant_medicine: result[0][6].value,
-            medicine_description: result[0][7].value
-        };
-        
-        res.json(diseaseInfo);
+        res.json({ success: true, data });
     } catch (error) {
-        console.error('Error fetching disease information:', error);
-        res.status(500).json({ 
-            error: 'Internal server error while fetching disease information',
-            details: error.message
-        });
+        console.error('Error fetching dataset exports:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch dataset exports' });
+    }
+});
+// One export job
+app.get('/admin/dataset-exports/:exportId', authenticateToken, adminOnly, validate({
+    params: { exportId: idRule }
+}), async (req, res) => {
+    try {
+        const result = await executeQuery(`
+            SELECT ${DATASET_EXPORT_COLUMNS}
+            FROM dataset_exports
+            WHERE export_id = @param0
+        `, [
+            { type: TYPES.Int, value: req.params.exportId }
+        ]);
+
+        if (result.length === 0) {
+            return res.status(404).json({ success: false, message: 'Export not found' });
+        }
+        res.json({ success: true, data: await toDatasetExport(result[0]) });
+    } catch (error) {
+        console.error('Error fetching dataset export:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch dataset export' });
     }
 });
 
 
 /*LOGIN PROCESS*/
 // Login endpoint
-app.post("/login", async (req, res) => {
+app.post("/login", validate({
+    body: {
+        identifier: { type: 'string', required: true, maxLength: 255 },
+        password: { type: 'string', required: true, maxLength: 128 }
+    }
+}), async (req, res) => {
     try {
         const { identifier, password } = req.body;
 
-        if (!identifier || !password) {
-            return res.status(400).json({ message: "Missing required fields" });
-        }
-
         const query = `
             SELECT 
                 uc.user_id,
                 uc.username,
                 uc.password,
                 uc.role_id,
-                up.email
+                up.email,
+                uc.token_version
             FROM user_credentials uc
             LEFT JOIN user_profiles up ON uc.user_id = up.user_id
             WHERE uc.username = @param0 OR up.email = @param0
@@ -1722,7 +5897,8 @@ app.post("/login", async (req, res) => {
             username: result[0][1].value,
             password: result[0][2].value,
             roleId: result[0][3].value,
-            email: result[0][4].value
+            email: result[0][4].value,
+            tokenVersion: result[0][5].value
         };
         console.log("User found, attempting password match");
 
@@ -1741,8 +5917,10 @@ app.post("/login", async (req, res) => {
                 id: user.id,
                 username: user.username,
                 email: user.email,
-                roleId: user.roleId
-            }
+                roleId: user.roleId,
+                role: ROLE_NAMES[user.roleId]
+            },
+            ...issueTokens(user)
         });
     } catch (err) {
         console.error('Login error:', err);
@@ -1750,6 +5928,742 @@ app.post("/login", async (req, res) => {
     }
 });
 
+// Exchange a refresh token for a new token pair
+app.post("/refresh-token", validate({
+    body: { refreshToken: { type: 'string', required: true, maxLength: 2048 } }
+}), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        const payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+        if (payload.type !== 'refresh') {
+            return res.status(401).json({ message: "Invalid refresh token" });
+        }
+
+        const query = `
+            SELECT user_id, role_id, token_version
+            FROM user_credentials
+            WHERE user_id = @param0
+        `;
+        const params = [
+            { type: TYPES.Int, value: payload.userId }
+        ];
+
+        const result = await executeQuery(query, params);
+
+        if (!result || !result[0] || result[0][2].value !== (payload.tokenVersion || 0)) {
+            return res.status(401).json({ message: "Invalid refresh token" });
+        }
+
+        res.json({
+            message: "Token refreshed",
+            ...issueTokens({
+                id: result[0][0].value,
+                roleId: result[0][1].value,
+                tokenVersion: result[0][2].value
+            })
+        });
+    } catch (err) {
+        if (err.name === 'TokenExpiredError' || err.name === 'JsonWebTokenError') {
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
+        console.error('Refresh token error:', err);
+        res.status(500).json({ message: "An error occurred while refreshing the token" });
+    }
+});
+// Logout. Access tokens are stateless, so on the server this only stops pushes to the
+// device being signed out of; the app discards its tokens.
+app.post("/logout", authenticateToken, validate({
+    body: { pushToken: { type: 'string', maxLength: 255 } }
+}), async (req, res) => {
+    try {
+        const deviceRemoved = req.body.pushToken ? await unregisterDevice(req.user.id, req.body.pushToken) : false;
+        res.json({ message: "Logged out", deviceRemoved });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ message: "An error occurred while logging out" });
+    }
+});
+
+
+
+/*ADMIN PROCESS*/
+// List the available roles
+app.get('/admin/roles', authenticateToken, adminOnly, (req, res) => {
+    const roles = Object.entries(ROLE_NAMES).map(([roleId, name]) => ({
+        roleId: parseInt(roleId, 10),
+        name
+    }));
+
+    res.json({ success: true, data: roles });
+});
+// Grant a role to a user
+app.put('/admin/users/:userId/role', authenticateToken, adminOnly, validate({
+    params: { userId: userIdRule },
+    body: { roleId: { type: 'int', required: true, min: 1 } }
+}), async (req, res) => {
+    const userId = req.params.userId;
+    const roleId = req.body.roleId;
+
+    if (!ROLE_NAMES[roleId]) {
+        return res.status(400).json({ success: false, message: 'Invalid role ID' });
+    }
+
+    if (userId === req.user.id && roleId !== ROLES.ADMIN) {
+        return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    try {
+        const updated = await setUserRole(userId, roleId);
+
+        if (!updated) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            message: `Role ${ROLE_NAMES[roleId]} granted`,
+            data: { userId, roleId, role: ROLE_NAMES[roleId] }
+        });
+    } catch (error) {
+        console.error('Role grant error:', error);
+        res.status(500).json({ success: false, message: 'Failed to grant role' });
+    }
+});
+// Revoke a user's role, returning them to the default farmer role
+app.delete('/admin/users/:userId/role', authenticateToken, adminOnly, validate({
+    params: { userId: userIdRule }
+}), async (req, res) => {
+    const userId = req.params.userId;
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ success: false, message: 'You cannot remove your own admin role' });
+    }
+
+    try {
+        const updated = await setUserRole(userId, DEFAULT_ROLE_ID);
+
+        if (!updated) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Role revoked',
+            data: { userId, roleId: DEFAULT_ROLE_ID, role: ROLE_NAMES[DEFAULT_ROLE_ID] }
+        });
+    } catch (error) {
+        console.error('Role revoke error:', error);
+        res.status(500).json({ success: false, message: 'Failed to revoke role' });
+    }
+});
+// Database pool usage
+app.get('/admin/db-pool', authenticateToken, adminOnly, (req, res) => {
+    res.json({ success: true, data: getPoolStats() });
+});
+// Update user_credentials.role_id, returning whether the user exists
+async function setUserRole(userId, roleId) {
+    const query = `
+        UPDATE user_credentials
+        SET role_id = @param1,
+            updated_at = GETDATE()
+        WHERE user_id = @param0;
+
+        SELECT @@ROWCOUNT as affected;
+    `;
+    const params = [
+        { type: TYPES.Int, value: userId },
+        { type: TYPES.Int, value: roleId }
+    ];
+
+    const result = await executeQuery(query, params);
+    return result[0][0].value > 0;
+}
+
+
+/*KNOWLEDGE BASE*/
+// Knowledge base entities admins can edit: table, id column and the API fields stored in it
+const KNOWLEDGE_BASE_ENTITIES = {
+    disease: {
+        path: 'diseases',
+        label: 'Disease',
+        table: 'rice_leaf_disease',
+        translationTable: 'disease_translations',
+        idColumn: 'rice_leaf_disease_id',
+        identity: false,
+        fields: {
+            name: { column: 'rice_leaf_disease', type: TYPES.NVarChar },
+            description: { column: 'description', type: TYPES.NVarChar },
+            isHealthy: { column: 'is_healthy', type: TYPES.Bit }
+        }
+    },
+    medicine: {
+        path: 'medicines',
+        label: 'Medicine',
+        table: 'rice_plant_medicine',
+        translationTable: 'medicine_translations',
+        idColumn: 'medicine_id',
+        identity: true,
+        fields: {
+            name: { column: 'rice_plant_medicine', type: TYPES.NVarChar },
+            description: { column: 'description', type: TYPES.NVarChar }
+        }
+    },
+    treatment: {
+        path: 'treatments',
+        label: 'Treatment',
+        table: 'local_practice_treatment',
+        translationTable: 'treatment_translations',
+        idColumn: 'treatment_id',
+        identity: true,
+        fields: {
+            name: { column: 'treatment', type: TYPES.NVarChar },
+            description: { column: 'description', type: TYPES.NVarChar }
+        }
+    }
+};
+// Recommendations linked to a disease. The first link is mirrored into the disease's
+// medicine_id / treatment_id column, which older clients still read.
+const DISEASE_LINKS = {
+    medicineIds: { entity: 'medicine', table: 'disease_medicines', column: 'medicine_id' },
+    treatmentIds: { entity: 'treatment', table: 'disease_treatments', column: 'treatment_id' }
+};
+const MAX_DISEASE_LINKS = 20;
+// Error for knowledge base edits that conflict with existing data
+class KnowledgeBaseError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'KnowledgeBaseError';
+        this.status = status;
+    }
+}
+// Request body rules for creating (all required fields) or updating (partial) an entity
+function knowledgeBaseSchema(type, creating) {
+    const schema = {
+        name: { type: 'string', required: creating, minLength: 1, maxLength: 255 },
+        description: { type: 'string', maxLength: 4000 }
+    };
+    if (type === 'disease') {
+        if (creating) {
+            // Diseases are keyed by the classifier's class number
+            schema.id = { type: 'int', required: true, min: 0 };
+        }
+        schema.isHealthy = { type: 'boolean' };
+        Object.keys(DISEASE_LINKS).forEach(name => {
+            schema[name] = { type: 'array', maxItems: MAX_DISEASE_LINKS, items: { type: 'int', min: 1 } };
+        });
+    }
+    return schema;
+}
+// Snapshot of an entity as stored in the change history, or null when it does not exist
+async function getKnowledgeEntity(type, id, db = { executeQuery }) {
+    const entity = KNOWLEDGE_BASE_ENTITIES[type];
+    const fields = Object.entries(entity.fields);
+
+    const query = `
+        SELECT ${fields.map(([, field]) => field.column).join(', ')}
+        FROM ${entity.table}
+        WHERE ${entity.idColumn} = @param0
+    `;
+    const result = await db.executeQuery(query, [
+        { type: TYPES.Int, value: id }
+    ]);
+    if (result.length === 0) {
+        return null;
+    }
+
+    const snapshot = { id };
+    fields.forEach(([name, field], index) => {
+        const value = result[0][index].value;
+        snapshot[name] = field.type === TYPES.Bit ? Boolean(value) : value;
+    });
+
+    if (type === 'disease') {
+        for (const [name, link] of Object.entries(DISEASE_LINKS)) {
+            const linkQuery = `
+                SELECT ${link.column}
+                FROM ${link.table}
+                WHERE rice_leaf_disease_id = @param0
+                ORDER BY sort_order
+            `;
+            const links = await db.executeQuery(linkQuery, [
+                { type: TYPES.Int, value: id }
+            ]);
+            snapshot[name] = links.map(row => row[0].value);
+        }
+    }
+
+    const translations = await db.executeQuery(`
+        SELECT language_code, name, description
+        FROM ${entity.translationTable}
+        WHERE ${entity.idColumn} = @param0
+        ORDER BY language_code
+    `, [
+        { type: TYPES.Int, value: id }
+    ]);
+    snapshot.translations = {};
+    translations.forEach(row => {
+        snapshot.translations[row[0].value] = { name: row[1].value, description: row[2].value };
+    });
+    return snapshot;
+}
+// Insert or update an entity from a snapshot, returning its id. A snapshot with an id
+// that does not exist yet (a new disease, or a deleted entity being restored) keeps that id.
+async function writeKnowledgeEntity(type, snapshot, exists, db) {
+    const entity = KNOWLEDGE_BASE_ENTITIES[type];
+    const fields = Object.entries(entity.fields);
+    const params = fields.map(([name, field]) => ({ type: field.type, value: snapshot[name] }));
+    let id = snapshot.id;
+
+    if (type === 'disease') {
+        for (const [name, link] of Object.entries(DISEASE_LINKS)) {
+            const ids = snapshot[name];
+            if (new Set(ids).size !== ids.length) {
+                throw new KnowledgeBaseError(`${name} must not repeat an id`);
+            }
+            for (const linkedId of ids) {
+                if (!await getKnowledgeEntity(link.entity, linkedId, db)) {
+                    throw new KnowledgeBaseError(`${KNOWLEDGE_BASE_ENTITIES[link.entity].label} ${linkedId} does not exist`);
+                }
+            }
+            // Mirror the first recommendation into the legacy column
+            params.push({ type: TYPES.Int, value: ids.length > 0 ? ids[0] : null });
+        }
+    }
+    const columns = [
+        ...fields.map(([, field]) => field.column),
+        ...(type === 'disease' ? Object.values(DISEASE_LINKS).map(link => link.column) : [])
+    ];
+
+    if (exists) {
+        params.push({ type: TYPES.Int, value: id });
+        await db.executeQuery(`
+            UPDATE ${entity.table}
+            SET ${columns.map((column, index) => `${column} = @param${index}`).join(', ')}
+            WHERE ${entity.idColumn} = @param${params.length - 1}
+        `, params);
+    } else if (id === undefined) {
+        const result = await db.executeQuery(`
+            INSERT INTO ${entity.table} (${columns.join(', ')})
+            VALUES (${columns.map((column, index) => `@param${index}`).join(', ')});
+
+            SELECT CAST(SCOPE_IDENTITY() AS INT) AS id;
+        `, params);
+        id = result[0][0].value;
+    } else {
+        params.push({ type: TYPES.Int, value: id });
+        const insert = `
+            INSERT INTO ${entity.table} (${columns.join(', ')}, ${entity.idColumn})
+            VALUES (${params.map((param, index) => `@param${index}`).join(', ')});
+        `;
+        await db.executeQuery(entity.identity
+            ? `SET IDENTITY_INSERT ${entity.table} ON;${insert}SET IDENTITY_INSERT ${entity.table} OFF;`
+            : insert, params);
+    }
+
+    if (type === 'disease') {
+        for (const [name, link] of Object.entries(DISEASE_LINKS)) {
+            await db.executeQuery(`
+                DELETE FROM ${link.table}
+                WHERE rice_leaf_disease_id = @param0
+            `, [
+                { type: TYPES.Int, value: id }
+            ]);
+
+            const ids = snapshot[name];
+            if (ids.length === 0) {
+                continue;
+            }
+            const linkParams = [
+                { type: TYPES.Int, value: id }
+            ];
+            const rows = ids.map((linkedId, index) => {
+                linkParams.push({ type: TYPES.Int, value: linkedId });
+                return `(@param0, @param${linkParams.length - 1}, ${index + 1})`;
+            });
+            await db.executeQuery(`
+                INSERT INTO ${link.table} (rice_leaf_disease_id, ${link.column}, sort_order)
+                VALUES ${rows.join(', ')}
+            `, linkParams);
+        }
+    }
+
+    // Snapshots recorded before translations existed have none
+    await db.executeQuery(`DELETE FROM ${entity.translationTable} WHERE ${entity.idColumn} = @param0`, [
+        { type: TYPES.Int, value: id }
+    ]);
+    for (const [language, translation] of Object.entries(snapshot.translations || {})) {
+        await db.executeQuery(`
+            INSERT INTO ${entity.translationTable} (${entity.idColumn}, language_code, name, description)
+            VALUES (@param0, @param1, @param2, @param3)
+        `, [
+            { type: TYPES.Int, value: id },
+            { type: TYPES.NVarChar, value: language },
+            { type: TYPES.NVarChar, value: translation.name },
+            { type: TYPES.NVarChar, value: translation.description }
+        ]);
+    }
+    return id;
+}
+// Delete an entity, refusing when scans or disease recommendations still refer to it
+async function deleteKnowledgeEntity(type, id, db) {
+    const entity = KNOWLEDGE_BASE_ENTITIES[type];
+    const params = [
+        { type: TYPES.Int, value: id }
+    ];
+
+    if (type === 'disease') {
+        const usageQuery = `
+            SELECT
+                (SELECT COUNT(*) FROM rice_leaf_scan WHERE rice_leaf_disease_id = @param0) +
+                (SELECT COUNT(*) FROM scan_predictions WHERE rice_leaf_disease_id = @param0) +
+                (SELECT COUNT(*) FROM disease_outbreaks WHERE rice_leaf_disease_id = @param0) +
+                (SELECT COUNT(*) FROM scan_reviews WHERE expert_disease_id = @param0) AS references_count
+        `;
+        const usage = await db.executeQuery(usageQuery, params);
+        if (usage[0][0].value > 0) {
+            throw new KnowledgeBaseError('Disease is referenced by saved scans or outbreaks and cannot be deleted', 409);
+        }
+        for (const link of Object.values(DISEASE_LINKS)) {
+            await db.executeQuery(`DELETE FROM ${link.table} WHERE rice_leaf_disease_id = @param0`, params);
+        }
+    } else {
+        const link = Object.values(DISEASE_LINKS).find(candidate => candidate.entity === type);
+        const usage = await db.executeQuery(`
+            SELECT COUNT(*) AS references_count
+            FROM ${link.table}
+            WHERE ${link.column} = @param0
+        `, params);
+        if (usage[0][0].value > 0) {
+            throw new KnowledgeBaseError(`${entity.label} is still recommended for ${usage[0][0].value} disease(s); remove it from them first`, 409);
+        }
+    }
+
+    await db.executeQuery(`DELETE FROM ${entity.translationTable} WHERE ${entity.idColumn} = @param0`, params);
+    await db.executeQuery(`DELETE FROM ${entity.table} WHERE ${entity.idColumn} = @param0`, params);
+}
+// Append an edit to the change history, returning its id
+async function recordKnowledgeChange(db, { type, id, action, before, after, userId, revertedChangeId = null }) {
+    const result = await db.executeQuery(`
+        INSERT INTO knowledge_base_changes (
+            entity_type, entity_id, action, before_data, after_data,
+            changed_by, changed_at, reverted_change_id
+        ) VALUES (@param0, @param1, @param2, @param3, @param4, @param5, GETDATE(), @param6);
+
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS change_id;
+    `, [
+        { type: TYPES.NVarChar, value: type },
+        { type: TYPES.Int, value: id },
+        { type: TYPES.NVarChar, value: action },
+        { type: TYPES.NVarChar, value: before ? JSON.stringify(before) : null },
+        { type: TYPES.NVarChar, value: after ? JSON.stringify(after) : null },
+        { type: TYPES.Int, value: userId },
+        { type: TYPES.Int, value: revertedChangeId }
+    ]);
+    return result[0][0].value;
+}
+// Answer knowledge base errors with their status, anything else with a 500
+function sendKnowledgeBaseError(res, error, message) {
+    if (error instanceof KnowledgeBaseError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ success: false, message });
+}
+// CRUD routes for each entity: /admin/diseases, /admin/medicines and /admin/treatments
+Object.entries(KNOWLEDGE_BASE_ENTITIES).forEach(([type, entity]) => {
+    const idParam = { id: { type: 'int', required: true, min: type === 'disease' ? 0 : 1 } };
+
+    // List every entity of this type
+    app.get(`/admin/${entity.path}`, authenticateToken, adminOnly, async (req, res) => {
+        try {
+            const ids = await executeQuery(`SELECT ${entity.idColumn} FROM ${entity.table} ORDER BY ${entity.idColumn}`);
+            const data = [];
+            for (const row of ids) {
+                data.push(await getKnowledgeEntity(type, row[0].value));
+            }
+            res.json({ success: true, data });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to fetch ${entity.path}`);
+        }
+    });
+    // One entity
+    app.get(`/admin/${entity.path}/:id`, authenticateToken, adminOnly, validate({
+        params: idParam
+    }), async (req, res) => {
+        try {
+            const snapshot = await getKnowledgeEntity(type, req.params.id);
+            if (!snapshot) {
+                return res.status(404).json({ success: false, message: `${entity.label} not found` });
+            }
+            res.json({ success: true, data: snapshot });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to fetch ${type}`);
+        }
+    });
+    // Create
+    app.post(`/admin/${entity.path}`, authenticateToken, adminOnly, validate({
+        body: knowledgeBaseSchema(type, true)
+    }), async (req, res) => {
+        try {
+            const { data, changeId } = await withTransaction(async (tx) => {
+                const snapshot = {
+                    id: req.body.id,
+                    name: req.body.name,
+                    description: req.body.description !== undefined ? req.body.description : null
+                };
+                if (type === 'disease') {
+                    if (await getKnowledgeEntity(type, req.body.id, tx)) {
+                        throw new KnowledgeBaseError(`Disease ${req.body.id} already exists`, 409);
+                    }
+                    snapshot.isHealthy = req.body.isHealthy === true;
+                    Object.keys(DISEASE_LINKS).forEach(name => {
+                        snapshot[name] = req.body[name] || [];
+                    });
+                }
+                snapshot.translations = {};
+
+                const id = await writeKnowledgeEntity(type, snapshot, false, tx);
+                const after = await getKnowledgeEntity(type, id, tx);
+                const changeId = await recordKnowledgeChange(tx, {
+                    type, id, action: 'create', before: null, after, userId: req.user.id
+                });
+                return { data: after, changeId };
+            });
+
+            res.status(201).json({ success: true, data, changeId });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to create ${type}`);
+        }
+    });
+    // Update the given fields, keeping the others
+    app.put(`/admin/${entity.path}/:id`, authenticateToken, adminOnly, validate({
+        params: idParam,
+        body: knowledgeBaseSchema(type, false)
+    }), async (req, res) => {
+        try {
+            const { data, changeId } = await withTransaction(async (tx) => {
+                const before = await getKnowledgeEntity(type, req.params.id, tx);
+                if (!before) {
+                    throw new KnowledgeBaseError(`${entity.label} not found`, 404);
+                }
+
+                const snapshot = { ...before };
+                Object.keys(snapshot).forEach(name => {
+                    if (name !== 'id' && name !== 'translations' && req.body[name] !== undefined) {
+                        snapshot[name] = req.body[name];
+                    }
+                });
+                if (JSON.stringify(snapshot) === JSON.stringify(before)) {
+                    return { data: before, changeId: null };
+                }
+
+                await writeKnowledgeEntity(type, snapshot, true, tx);
+                const after = await getKnowledgeEntity(type, req.params.id, tx);
+                const changeId = await recordKnowledgeChange(tx, {
+                    type, id: req.params.id, action: 'update', before, after, userId: req.user.id
+                });
+                return { data: after, changeId };
+            });
+
+            res.json({ success: true, data, changeId });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to update ${type}`);
+        }
+    });
+    // Delete
+    app.delete(`/admin/${entity.path}/:id`, authenticateToken, adminOnly, validate({
+        params: idParam
+    }), async (req, res) => {
+        try {
+            const changeId = await withTransaction(async (tx) => {
+                const before = await getKnowledgeEntity(type, req.params.id, tx);
+                if (!before) {
+                    throw new KnowledgeBaseError(`${entity.label} not found`, 404);
+                }
+
+                await deleteKnowledgeEntity(type, req.params.id, tx);
+                return recordKnowledgeChange(tx, {
+                    type, id: req.params.id, action: 'delete', before, after: null, userId: req.user.id
+                });
+            });
+
+            res.json({ success: true, message: `${entity.label} deleted`, changeId });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to delete ${type}`);
+        }
+    });
+    // Add or replace the translation for one language
+    app.put(`/admin/${entity.path}/:id/translations/:lang`, authenticateToken, adminOnly, validate({
+        params: { ...idParam, lang: { type: 'string', required: true, values: TRANSLATION_LANGUAGES } },
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+            description: { type: 'string', maxLength: 4000 }
+        }
+    }), async (req, res) => {
+        try {
+            const translation = {
+                name: req.body.name,
+                description: req.body.description !== undefined ? req.body.description : null
+            };
+            const result = await changeTranslation(type, req.params.id, req.params.lang, translation, req.user.id);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to save ${type} translation`);
+        }
+    });
+    // Remove a translation so the language falls back to English
+    app.delete(`/admin/${entity.path}/:id/translations/:lang`, authenticateToken, adminOnly, validate({
+        params: { ...idParam, lang: { type: 'string', required: true, values: TRANSLATION_LANGUAGES } }
+    }), async (req, res) => {
+        try {
+            const result = await changeTranslation(type, req.params.id, req.params.lang, null, req.user.id);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendKnowledgeBaseError(res, error, `Failed to delete ${type} translation`);
+        }
+    });
+});
+// Set (or with null, remove) one translation of an entity, recorded as an update in the change history
+async function changeTranslation(type, id, language, translation, userId) {
+    return withTransaction(async (tx) => {
+        const before = await getKnowledgeEntity(type, id, tx);
+        if (!before) {
+            throw new KnowledgeBaseError(`${KNOWLEDGE_BASE_ENTITIES[type].label} not found`, 404);
+        }
+        if (!translation && !before.translations[language]) {
+            throw new KnowledgeBaseError(`No ${SUPPORTED_LANGUAGES[language]} translation to remove`, 404);
+        }
+
+        const translations = { ...before.translations };
+        if (translation) {
+            translations[language] = translation;
+        } else {
+            delete translations[language];
+        }
+
+        await writeKnowledgeEntity(type, { ...before, translations }, true, tx);
+        const after = await getKnowledgeEntity(type, id, tx);
+        const changeId = await recordKnowledgeChange(tx, {
+            type, id, action: 'update', before, after, userId
+        });
+        return { data: after, changeId };
+    });
+}
+// Convert a change history row to the API shape
+function toKnowledgeChange(columns) {
+    const row = {};
+    columns.forEach(column => {
+        row[column.metadata.colName] = column.value;
+    });
+
+    return {
+        id: row.change_id,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        action: row.action,
+        before: row.before_data ? JSON.parse(row.before_data) : null,
+        after: row.after_data ? JSON.parse(row.after_data) : null,
+        changedBy: row.changed_by,
+        changedAt: row.changed_at,
+        revertedChangeId: row.reverted_change_id
+    };
+}
+const KNOWLEDGE_CHANGE_COLUMNS = `
+    change_id, entity_type, entity_id, action, before_data, after_data,
+    changed_by, changed_at, reverted_change_id`;
+// Change history, newest first; pass the last id seen as "before" for the next page
+app.get('/admin/knowledge-base/changes', authenticateToken, adminOnly, validate({
+    query: {
+        type: { type: 'string', values: Object.keys(KNOWLEDGE_BASE_ENTITIES) },
+        entityId: { type: 'int', min: 0 },
+        before: { type: 'int', min: 1 },
+        limit: { type: 'int', min: 1, max: 100, default: 50 }
+    }
+}), async (req, res) => {
+    try {
+        const { type, entityId, before, limit } = req.query;
+        const conditions = ['1 = 1'];
+        const params = [];
+        if (type) {
+            conditions.push(`entity_type = @param${params.length}`);
+            params.push({ type: TYPES.NVarChar, value: type });
+        }
+        if (entityId !== undefined) {
+            conditions.push(`entity_id = @param${params.length}`);
+            params.push({ type: TYPES.Int, value: entityId });
+        }
+        if (before !== undefined) {
+            conditions.push(`change_id < @param${params.length}`);
+            params.push({ type: TYPES.Int, value: before });
+        }
+        params.push({ type: TYPES.Int, value: limit });
+
+        const query = `
+            SELECT ${KNOWLEDGE_CHANGE_COLUMNS}
+            FROM knowledge_base_changes
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY change_id DESC
+            OFFSET 0 ROWS FETCH NEXT @param${params.length - 1} ROWS ONLY
+        `;
+        const results = await executeQuery(query, params);
+
+        res.json({ success: true, data: results.map(toKnowledgeChange) });
+    } catch (error) {
+        console.error('Error fetching knowledge base changes:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch knowledge base changes' });
+    }
+});
+// Undo one change by restoring the entity to its state before it. Only allowed while the
+// entity still matches the change's result, so later edits have to be reverted first.
+app.post('/admin/knowledge-base/changes/:changeId/revert', authenticateToken, adminOnly, validate({
+    params: { changeId: idRule }
+}), async (req, res) => {
+    try {
+        const { data, changeId } = await withTransaction(async (tx) => {
+            const result = await tx.executeQuery(`
+                SELECT ${KNOWLEDGE_CHANGE_COLUMNS}
+                FROM knowledge_base_changes
+                WHERE change_id = @param0
+            `, [
+                { type: TYPES.Int, value: req.params.changeId }
+            ]);
+            if (result.length === 0) {
+                throw new KnowledgeBaseError('Change not found', 404);
+            }
+            const change = toKnowledgeChange(result[0]);
+
+            const current = await getKnowledgeEntity(change.entityType, change.entityId, tx);
+            // Snapshots recorded before translations existed have none
+            const expected = change.after && { ...change.after, translations: change.after.translations || {} };
+            if (JSON.stringify(current) !== JSON.stringify(expected)) {
+                throw new KnowledgeBaseError('The entity was changed again after this change; revert the later changes first', 409);
+            }
+
+            if (change.before) {
+                await writeKnowledgeEntity(change.entityType, change.before, current !== null, tx);
+            } else {
+                await deleteKnowledgeEntity(change.entityType, change.entityId, tx);
+            }
+
+            const after = await getKnowledgeEntity(change.entityType, change.entityId, tx);
+            const changeId = await recordKnowledgeChange(tx, {
+                type: change.entityType,
+                id: change.entityId,
+                action: 'revert',
+                before: current,
+                after,
+                userId: req.user.id,
+                revertedChangeId: change.id
+            });
+            return { data: after, changeId };
+        });
+
+        res.json({ success: true, data, changeId });
+    } catch (error) {
+        sendKnowledgeBaseError(res, error, 'Failed to revert change');
+    }
+});
 
 /*PUBLIC ENPOINTS*/
 // Home endpoint
@@ -1783,10 +6697,182 @@ app.get('/check', async (req, res) => {
 });
 
 
+/*MIGRATIONS*/
+// Versioned schema changes in migrations/NNNN_name.up.sql with a matching .down.sql
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Read migration files, ordered by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version,
+            name,
+            upFile: path.join(MIGRATIONS_DIR, file),
+            downFile: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+        }))
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+// Create the history table on first use
+async function ensureMigrationsTable() {
+    const createTable = `
+        CREATE TABLE schema_migrations (
+            version VARCHAR(32) NOT NULL PRIMARY KEY,
+            name NVARCHAR(255) NOT NULL,
+            applied_at DATETIME2 NOT NULL DEFAULT GETDATE()
+        )
+    `;
+    const query = DB_CLIENT === 'sqlite'
+        ? createTable.replace('CREATE TABLE', 'CREATE TABLE IF NOT EXISTS')
+        : `IF OBJECT_ID('schema_migrations', 'U') IS NULL ${createTable}`;
+
+    await executeQuery(query);
+}
+async function getAppliedMigrations() {
+    await ensureMigrationsTable();
+    const result = await executeQuery(`
+        SELECT version, name, applied_at
+        FROM schema_migrations
+        ORDER BY version
+    `);
+    return result.map(row => ({
+        version: row[0].value,
+        name: row[1].value,
+        appliedAt: row[2].value
+    }));
+}
+// Run a migration file; GO lines separate batches
+async function runMigrationFile(tx, file) {
+    const batches = fs.readFileSync(file, 'utf8')
+        .split(/^\s*GO\s*$/im)
+        .map(batch => batch.trim())
+        .filter(Boolean);
+
+    for (const batch of batches) {
+        await tx.executeQuery(batch);
+    }
+}
+// Apply every pending migration, each in its own transaction
+async function migrate() {
+    const applied = new Set((await getAppliedMigrations()).map(m => m.version));
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+        await withTransaction(async (tx) => {
+            await runMigrationFile(tx, migration.upFile);
+            await tx.executeQuery(`
+                INSERT INTO schema_migrations (version, name, applied_at)
+                VALUES (@param0, @param1, GETDATE())
+            `, [
+                { type: TYPES.VarChar, value: migration.version },
+                { type: TYPES.NVarChar, value: migration.name }
+            ]);
+        });
+        console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+}
+// Revert the most recently applied migrations
+async function rollback(steps = 1) {
+    const migrations = loadMigrations();
+    const toRevert = (await getAppliedMigrations()).reverse().slice(0, steps);
+
+    for (const applied of toRevert) {
+        const migration = migrations.find(m => m.version === applied.version);
+        if (!migration || !fs.existsSync(migration.downFile)) {
+            throw new Error(`No down migration found for version ${applied.version}`);
+        }
+
+        await withTransaction(async (tx) => {
+            await runMigrationFile(tx, migration.downFile);
+            await tx.executeQuery(`
+                DELETE FROM schema_migrations
+                WHERE version = @param0
+            `, [
+                { type: TYPES.VarChar, value: migration.version }
+            ]);
+        });
+        console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+    }
+
+    return toRevert;
+}
+// Mark migrations up to a version as applied without running them,
+// for databases that were created before migrations were tracked
+async function baseline(version) {
+    const applied = new Set((await getAppliedMigrations()).map(m => m.version));
+    const toMark = loadMigrations().filter(m => m.version <= version && !applied.has(m.version));
+
+    for (const migration of toMark) {
+        await executeQuery(`
+            INSERT INTO schema_migrations (version, name, applied_at)
+            VALUES (@param0, @param1, GETDATE())
+        `, [
+            { type: TYPES.VarChar, value: migration.version },
+            { type: TYPES.NVarChar, value: migration.name }
+        ]);
+        console.log(`Marked migration ${migration.version}_${migration.name} as applied`);
+    }
+
+    return toMark;
+}
+async function migrationStatus() {
+    const applied = new Map((await getAppliedMigrations()).map(m => [m.version, m]));
+    return loadMigrations().map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.has(m.version) ? applied.get(m.version).appliedAt : null
+    }));
+}
+// node server.js migrate | rollback [steps] | status | baseline <version>
+async function runMigrationCommand(command, arg) {
+    try {
+        if (command === 'migrate') {
+            const applied = await migrate();
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (command === 'rollback') {
+            await rollback(parseInt(arg, 10) || 1);
+        } else if (command === 'baseline') {
+            if (!arg) {
+                throw new Error('Usage: node server.js baseline <version>');
+            }
+            await baseline(arg);
+        } else {
+            for (const m of await migrationStatus()) {
+                const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+                console.log(`${m.version}_${m.name}: ${state}`);
+            }
+        }
+        closePool();
+        process.exit(0);
+    } catch (err) {
+        console.error(`Migration ${command} failed:`, err);
+        closePool();
+        process.exit(1);
+    }
+}
+
+
 /*SERVER CONFIG*/
 // Start server
 async function startServer() {
     try {
+        if (!JWT_SECRET) {
+            throw new Error('JWT_SECRET must be set');
+        }
+
+        // The in-memory database starts empty on every run
+        if (DB_CLIENT === 'sqlite') {
+            await migrate();
+        }
+
+        startCodeSweeper();
+        startIdleEviction();
+        startOutbreakDetector();
+        startPushReceiptChecker();
+        startDatasetExportWatchdog();
+
         // Start express server
         const PORT = process.env.PORT || 8080;
         app.listen(PORT, () => {
@@ -1801,11 +6887,7 @@ async function startServer() {
 process.on('SIGINT', async () => {
     try {
         // Close all connections in the pool
-        for (const connection of connectionPool) {
-            if (connection && connection.state.name !== 'Final') {
-                connection.close();
-            }
-        }
+        closePool();
         console.log('All database connections closed');
     } catch (err) {
         console.error('Error closing database connections:', err);
@@ -1813,4 +6895,14 @@ process.on('SIGINT', async () => {
     process.exit();
 });
 
-startServer();
\ No newline at end of file
+// Start when run directly; tests require the app without listening
+if (require.main === module) {
+    const [command, arg] = process.argv.slice(2);
+    if (['migrate', 'rollback', 'status', 'baseline'].includes(command)) {
+        runMigrationCommand(command, arg);
+    } else {
+        startServer();
+    }
+}
+
+module.exports = { app, executeQuery, withTransaction, seedDatabase, migrate, rollback, closePool, setPushClient, checkPushReceipts, failStaleDatasetExports };
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Expo } = require('expo-server-sdk');
+const { server, startServer, authHeaders, createUsers } = require('./helpers');
+
+// Expo client that accepts every push without going to the network
+class FakeExpo extends Expo {
+    async sendPushNotificationsAsync(messages) {
+        return messages.map(message => ({ status: 'ok', id: `ticket-${message.to}` }));
+    }
+}
+
+const FARMERS = 520;
+let app;
+let admin;
+let farmers;
+
+before(async () => {
+    server.setPushClient(new FakeExpo());
+    app = await startServer();
+    [admin, ...farmers] = await createUsers([3, ...Array(FARMERS).fill(1)]);
+    for (const farmer of farmers.slice(0, 3)) {
+        await server.executeQuery(`
+            INSERT INTO user_devices (user_id, push_token) VALUES (@param0, @param1)
+        `, [{ value: farmer }, { value: `ExponentPushToken[farmer-${farmer}]` }]);
+    }
+});
+
+after(() => app.close());
+
+test('broadcast stores one notification per recipient across insert batches', async () => {
+    const response = await fetch(`${app.baseUrl}/broadcast`, {
+        method: 'POST',
+        headers: authHeaders(admin, 3),
+        body: JSON.stringify({ title: 'Typhoon warning', audience: { roles: [1] } })
+    });
+    assert.strictEqual(response.status, 200);
+    const result = await response.json();
+    assert.strictEqual(result.recipients, FARMERS);
+    assert.strictEqual(result.stored, FARMERS);
+    assert.strictEqual(result.pushed, 3);
+    assert.ok(!('tickets' in result));
+
+    const rows = await server.executeQuery(`
+        SELECT user_id FROM user_notifications WHERE campaign_id = @param0 ORDER BY user_id
+    `, [{ value: result.campaignId }]);
+    assert.deepStrictEqual(rows.map(row => row[0].value), farmers);
+
+    // Each push carries the id of its own recipient's notification
+    const tickets = await server.executeQuery(`
+        SELECT pt.user_id, un.user_id
+        FROM push_tickets pt
+        JOIN user_notifications un ON un.notification_id = pt.notification_id
+    `);
+    assert.strictEqual(tickets.length, 3);
+    tickets.forEach(row => assert.strictEqual(row[0].value, row[1].value));
+
+    const campaign = await fetch(`${app.baseUrl}/admin/broadcasts/${result.campaignId}`, { headers: authHeaders(admin, 3) });
+    const { data } = await campaign.json();
+    assert.strictEqual(data.status, 'sent');
+    assert.strictEqual(data.stored, FARMERS);
+    assert.strictEqual(data.delivery.pending, 3);
+});
+
+test('a broadcast cannot take another notification type to get past broadcast opt-outs', async () => {
+    const [optedOut] = farmers;
+    const preferences = await fetch(`${app.baseUrl}/notification-preferences/${optedOut}`, {
+        method: 'PUT',
+        headers: authHeaders(optedOut),
+        body: JSON.stringify({ types: { broadcast: 'off' } })
+    });
+    assert.strictEqual(preferences.status, 200);
+
+    const response = await fetch(`${app.baseUrl}/broadcast`, {
+        method: 'POST',
+        headers: authHeaders(admin, 3),
+        body: JSON.stringify({ title: 'Outbreak nearby', data: { type: 'outbreak' }, audience: { roles: [1] } })
+    });
+    assert.strictEqual(response.status, 200);
+    const { campaignId, stored } = await response.json();
+    assert.strictEqual(stored, FARMERS - 1);
+
+    const rows = await server.executeQuery(`
+        SELECT DISTINCT type FROM user_notifications WHERE campaign_id = @param0
+    `, [{ value: campaignId }]);
+    assert.deepStrictEqual(rows.map(row => row[0].value), ['broadcast']);
+    const optedOutRows = await server.executeQuery(`
+        SELECT COUNT(*) FROM user_notifications WHERE campaign_id = @param0 AND user_id = @param1
+    `, [{ value: campaignId }, { value: optedOut }]);
+    assert.strictEqual(optedOutRows[0][0].value, 0);
+});
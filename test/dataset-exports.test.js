@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-exports-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { server, startServer, authHeaders, createUsers } = require('./helpers');
+
+const LEAF_BLAST = 3;
+const SCANS = 12;
+let app;
+let admin;
+
+// Start an export and wait for it to finish
+async function runExport(body) {
+    const started = await fetch(`${app.baseUrl}/admin/dataset-exports`, {
+        method: 'POST',
+        headers: authHeaders(admin, 3),
+        body: JSON.stringify(body)
+    });
+    assert.strictEqual(started.status, 202);
+    const { id } = (await started.json()).data;
+
+    for (;;) {
+        const response = await fetch(`${app.baseUrl}/admin/dataset-exports/${id}`, { headers: authHeaders(admin, 3) });
+        const job = (await response.json()).data;
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+function readExport(job) {
+    const extension = job.format === 'coco' ? 'json' : job.format;
+    return fs.readFileSync(path.join(storageDir, 'export', `dataset-export-${job.id}.${extension}`), 'utf8');
+}
+
+before(async () => {
+    app = await startServer();
+    let farmer;
+    [admin, farmer] = await createUsers([3, 1]);
+    for (let i = 0; i < SCANS; i++) {
+        await server.executeQuery(`
+            INSERT INTO rice_leaf_scan (user_id, rice_leaf_disease_id, disease_confidence_score, scan_image)
+            VALUES (@param0, @param1, 0.9, @param2)
+        `, [{ value: farmer }, { value: LEAF_BLAST }, { value: `leaf-${i}.jpg` }]);
+    }
+});
+
+after(() => {
+    app.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('jsonl export streams one record per scan with its split', async () => {
+    const job = await runExport({ format: 'jsonl', seed: 'fixed', deidentify: true });
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.itemCount, SCANS);
+
+    const records = readExport(job).trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records.length, SCANS);
+    assert.ok(records.every(record => !('user_id' in record)));
+    ['train', 'val', 'test'].forEach(split => {
+        assert.strictEqual(records.filter(record => record.split === split).length, job.summary.splits[split]);
+    });
+});
+
+test('coco export is a single valid document', async () => {
+    const job = await runExport({ format: 'coco', seed: 'fixed' });
+    assert.strictEqual(job.status, 'completed');
+
+    const document = JSON.parse(readExport(job));
+    assert.strictEqual(document.images.length, SCANS);
+    assert.strictEqual(document.annotations.length, SCANS);
+    assert.deepStrictEqual(document.annotations.map(annotation => annotation.id), [...Array(SCANS).keys()].map(i => i + 1));
+    assert.ok(document.annotations.every(annotation => annotation.category_id === LEAF_BLAST));
+});
+
+test('exports left queued or running by a lost instance are marked failed', async () => {
+    const insertJob = (status, heartbeatAt, createdAt) => server.executeQuery(`
+        INSERT INTO dataset_exports (status, format, options, requested_by, heartbeat_at, created_at)
+        VALUES (@param0, 'jsonl', '{}', @param1, @param2, @param3);
+
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS export_id;
+    `, [
+        { value: status },
+        { value: admin },
+        { value: heartbeatAt },
+        { value: createdAt }
+    ]).then(result => result[0][0].value);
+
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const lostRunning = await insertJob('running', hourAgo, hourAgo);
+    const lostQueued = await insertJob('queued', null, hourAgo);
+    const alive = await insertJob('running', new Date(), hourAgo);
+
+    assert.strictEqual(await server.failStaleDatasetExports(), 2);
+
+    const rows = await server.executeQuery(`
+        SELECT export_id, status FROM dataset_exports WHERE export_id IN (@param0, @param1, @param2) ORDER BY export_id
+    `, [{ value: lostRunning }, { value: lostQueued }, { value: alive }]);
+    assert.deepStrictEqual(rows.map(row => [row[0].value, row[1].value]), [
+        [lostRunning, 'failed'],
+        [lostQueued, 'failed'],
+        [alive, 'running']
+    ]);
+});
+
+test('coco annotations relabeled by an agronomist carry no model score', async () => {
+    const [scan] = await server.executeQuery(`SELECT MIN(rice_leaf_scan_id) FROM rice_leaf_scan`);
+    const relabeled = scan[0].value;
+    await server.executeQuery(`
+        INSERT INTO scan_reviews (rice_leaf_scan_id, reason, status, expert_disease_id, reviewed_by)
+        VALUES (@param0, 'low_confidence', 'labeled', @param1, @param2)
+    `, [{ value: relabeled }, { value: LEAF_BLAST - 1 }, { value: admin }]);
+
+    const job = await runExport({ format: 'coco', seed: 'fixed' });
+    const annotations = JSON.parse(readExport(job)).annotations;
+    const expert = annotations.find(annotation => annotation.image_id === relabeled);
+    assert.strictEqual(expert.category_id, LEAF_BLAST - 1);
+    assert.strictEqual(expert.expert_verified, true);
+    assert.ok(!('score' in expert));
+    assert.ok(annotations.filter(annotation => annotation !== expert).every(annotation => annotation.score === 0.9));
+});
@@ -0,0 +1,53 @@
+// Shared setup for the route tests: the server runs on an in-memory SQLite database with
+// local file storage and in-memory verification codes, so no SQL Server, Google Cloud
+// or network access is needed. Require this before anything that loads server.js.
+process.env.DB_CLIENT = 'sqlite';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.STORAGE_BACKEND = 'local';
+process.env.CODE_STORE = 'memory';
+
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
+const server = require('../server');
+
+// Migrate the database and listen on a free port
+async function startServer() {
+    await server.migrate();
+    const listener = server.app.listen(0);
+    await once(listener, 'listening');
+
+    return {
+        baseUrl: `http://127.0.0.1:${listener.address().port}`,
+        close: () => {
+            listener.close();
+            server.closePool();
+        }
+    };
+}
+// Headers for a request made as the given user
+function authHeaders(userId, roleId = 1) {
+    const token = jwt.sign({ userId, roleId, tokenVersion: 0, type: 'access' }, process.env.JWT_SECRET);
+    return {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+    };
+}
+// Create users with the given roles; resolves to their ids in the same order
+async function createUsers(roleIds) {
+    const ids = [];
+    for (const roleId of roleIds) {
+        const result = await server.executeQuery(`
+            INSERT INTO user_credentials (username, password, role_id)
+            VALUES (@param0, 'x', @param1);
+
+            SELECT CAST(SCOPE_IDENTITY() AS INT) AS user_id;
+        `, [
+            { value: `user${Date.now()}${ids.length}` },
+            { value: roleId }
+        ]);
+        ids.push(result[0][0].value);
+    }
+    return ids;
+}
+
+module.exports = { server, startServer, authHeaders, createUsers };
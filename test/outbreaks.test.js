@@ -0,0 +1,78 @@
+process.env.OUTBREAK_THRESHOLD = '3';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { server, startServer, authHeaders, createUsers } = require('./helpers');
+
+const LEAF_BLAST = 3;
+let app;
+let admin;
+
+// Give a user an address and scans of a disease
+async function addFarmer(userId, area, scans, diseaseId = LEAF_BLAST) {
+    const address = await server.executeQuery(`
+        INSERT INTO user_addresses (region, province, city_municipality)
+        VALUES (@param0, @param1, @param2);
+
+        SELECT CAST(SCOPE_IDENTITY() AS INT) AS address_id;
+    `, [{ value: area[0] }, { value: area[1] }, { value: area[2] }]);
+    await server.executeQuery(`
+        INSERT INTO user_profiles (user_id, address_id, firstname, lastname, email)
+        VALUES (@param0, @param1, 'f', 'l', @param2)
+    `, [{ value: userId }, { value: address[0][0].value }, { value: `${userId}@example.com` }]);
+    for (let i = 0; i < scans; i++) {
+        await server.executeQuery(`
+            INSERT INTO rice_leaf_scan (user_id, rice_leaf_disease_id, disease_confidence_score, scan_image)
+            VALUES (@param0, @param1, 0.9, 'leaf.jpg')
+        `, [{ value: userId }, { value: diseaseId }]);
+    }
+}
+async function detect() {
+    const response = await fetch(`${app.baseUrl}/admin/outbreaks/detect`, { method: 'POST', headers: authHeaders(admin, 3) });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).data;
+}
+async function alertedUsers() {
+    const rows = await server.executeQuery(`SELECT user_id FROM user_notifications WHERE type = 'outbreak' ORDER BY user_id`);
+    return rows.map(row => row[0].value);
+}
+
+before(async () => {
+    app = await startServer();
+    [admin] = await createUsers([3]);
+});
+
+after(() => app.close());
+
+test('one farmer rescanning the same leaf does not raise an outbreak', async () => {
+    const [farmer] = await createUsers([1]);
+    await addFarmer(farmer, ['III', 'Nueva Ecija', 'Munoz'], 5);
+
+    assert.strictEqual((await detect()).created, 0);
+});
+
+test('farmers without an address are not grouped into an area or alerted', async () => {
+    const farmers = await createUsers([1, 1, 1]);
+    for (const farmer of farmers) {
+        await addFarmer(farmer, [null, '', null], 2);
+    }
+
+    assert.strictEqual((await detect()).created, 0);
+    assert.deepStrictEqual(await alertedUsers(), []);
+});
+
+test('enough farmers in an area raise an outbreak and alert only that area', async () => {
+    const [second, third, elsewhere] = await createUsers([1, 1, 1]);
+    await addFarmer(second, ['III', 'Nueva Ecija', 'Munoz'], 1);
+    await addFarmer(third, ['III', 'Nueva Ecija', 'Munoz'], 1);
+    await addFarmer(elsewhere, ['III', 'Nueva Ecija', 'Cabanatuan'], 3);
+
+    const summary = await detect();
+    assert.strictEqual(summary.created, 1);
+
+    const [outbreak] = (await server.executeQuery(`
+        SELECT city_municipality, detections, notified_users FROM disease_outbreaks
+    `)).map(row => row.map(column => column.value));
+    assert.deepStrictEqual(outbreak, ['Munoz', 3, 3]);
+    assert.ok(!(await alertedUsers()).includes(elsewhere));
+});
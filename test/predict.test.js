@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'predict-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+// No model is installed, so classification itself answers 503
+process.env.MODEL_PATH = path.join(storageDir, 'missing.onnx');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { server, startServer, authHeaders, createUsers } = require('./helpers');
+
+let app;
+let owner;
+let stranger;
+let imageRef;
+
+async function predict(userId, scanImage) {
+    const response = await fetch(`${app.baseUrl}/predict`, {
+        method: 'POST',
+        headers: authHeaders(userId),
+        body: JSON.stringify({ scan_image: scanImage })
+    });
+    return response.status;
+}
+
+before(async () => {
+    app = await startServer();
+    [owner, stranger] = await createUsers([1, 1]);
+
+    const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#3a7d2c' } }).jpeg().toBuffer();
+    const form = new FormData();
+    form.append('image', new Blob([image], { type: 'image/jpeg' }), 'leaf.jpg');
+    const headers = authHeaders(owner);
+    delete headers['Content-Type'];
+    const response = await fetch(`${app.baseUrl}/upload`, { method: 'POST', headers, body: form });
+    assert.strictEqual(response.status, 200);
+    imageRef = (await response.json()).imageRef;
+});
+
+after(() => {
+    app.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('an uploaded image can be classified by its uploader', async () => {
+    assert.strictEqual(await predict(owner, imageRef), 503);
+});
+
+test('another user\'s image is reported as not found', async () => {
+    assert.strictEqual(await predict(stranger, imageRef), 404);
+});
+
+test('an image from one of the caller\'s scans can be classified again', async () => {
+    await server.executeQuery(`
+        INSERT INTO rice_leaf_scan (user_id, rice_leaf_disease_id, disease_confidence_score, scan_image)
+        VALUES (@param0, 3, 0.9, @param1)
+    `, [{ value: stranger }, { value: `https://storage.googleapis.com/scan/${imageRef}` }]);
+
+    assert.strictEqual(await predict(stranger, imageRef), 503);
+});
@@ -0,0 +1,154 @@
+process.env.PUSH_RECEIPT_BATCH_SIZE = '5';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Expo } = require('expo-server-sdk');
+const { server, startServer, authHeaders, createUsers } = require('./helpers');
+
+// Expo client that answers from canned tickets and receipts instead of the network.
+// A token maps to the ticket Expo returns when it is sent to, and the receipt it later
+// gets (undefined while Expo has not produced one yet).
+class FakeExpo extends Expo {
+    constructor(outcomes) {
+        super();
+        this.outcomes = outcomes;
+        this.sent = 0;
+    }
+
+    async sendPushNotificationsAsync(messages) {
+        return messages.map(message => this.outcomes[message.to].ticket ||
+            { status: 'ok', id: `ticket-${++this.sent}-${message.to}` });
+    }
+
+    async getPushNotificationReceiptsAsync(receiptIds) {
+        const receipts = {};
+        receiptIds.forEach(receiptId => {
+            const receipt = this.outcomes[receiptId.replace(/^ticket-\d+-/, '')].receipt;
+            if (receipt) {
+                receipts[receiptId] = receipt;
+            }
+        });
+        return receipts;
+    }
+}
+
+const token = name => `ExponentPushToken[${name}]`;
+const notRegistered = {
+    status: 'error',
+    message: 'The recipient device is not registered with FCM.',
+    details: { error: 'DeviceNotRegistered' }
+};
+const outcomes = {
+    [token('phone')]: { receipt: { status: 'ok' } },
+    [token('old-phone')]: { receipt: notRegistered },
+    [token('uninstalled')]: { receipt: notRegistered },
+    [token('rejected')]: { ticket: notRegistered },
+    [token('no-receipt')]: {},
+    [token('pending')]: {}
+};
+let app;
+let admin;
+let users;
+
+async function addDevice(userId, pushToken) {
+    await server.executeQuery(`
+        INSERT INTO user_devices (user_id, push_token) VALUES (@param0, @param1)
+    `, [{ value: userId }, { value: pushToken }]);
+}
+async function notify(userId) {
+    const response = await fetch(`${app.baseUrl}/notify`, {
+        method: 'POST',
+        headers: authHeaders(admin, 3),
+        body: JSON.stringify({ user_id: userId, title: 'Scan reviewed' })
+    });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).notificationId;
+}
+async function checkReceipts() {
+    const response = await fetch(`${app.baseUrl}/admin/push-receipts/check`, { method: 'POST', headers: authHeaders(admin, 3) });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).data;
+}
+async function deliveryStatus(notificationId) {
+    const rows = await server.executeQuery(`
+        SELECT delivery_status FROM user_notifications WHERE notification_id = @param0
+    `, [{ value: notificationId }]);
+    return rows[0][0].value;
+}
+async function registeredTokens() {
+    const rows = await server.executeQuery(`SELECT push_token FROM user_devices ORDER BY push_token`);
+    return rows.map(row => row[0].value);
+}
+
+before(async () => {
+    server.setPushClient(new FakeExpo(outcomes));
+    app = await startServer();
+    [admin, ...users] = await createUsers([3, 1, 1, 1, 1, 1]);
+
+    const [twoPhones, uninstalled, rejected, noReceipt, pending] = users;
+    await addDevice(twoPhones, token('phone'));
+    await addDevice(twoPhones, token('old-phone'));
+    await addDevice(uninstalled, token('uninstalled'));
+    await addDevice(rejected, token('rejected'));
+    await addDevice(noReceipt, token('no-receipt'));
+    await addDevice(pending, token('pending'));
+});
+
+after(() => app.close());
+
+test('receipts set each notification\'s delivery status and prune unregistered devices', async () => {
+    const [twoPhones, uninstalled, rejected, noReceipt, pending] = users;
+    const notifications = {};
+    for (const [name, userId] of Object.entries({ twoPhones, uninstalled, rejected, noReceipt, pending })) {
+        notifications[name] = await notify(userId);
+    }
+
+    // A ticket Expo rejected outright fails the notification and drops the token at once
+    assert.strictEqual(await deliveryStatus(notifications.rejected), 'failed');
+    assert.ok(!(await registeredTokens()).includes(token('rejected')));
+    assert.strictEqual(await deliveryStatus(notifications.twoPhones), 'sent');
+
+    // Age one ticket past the receipt window so it is given up on
+    await server.executeQuery(`
+        UPDATE push_tickets SET created_at = @param1 WHERE push_token = @param0
+    `, [{ value: token('no-receipt') }, { value: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }]);
+
+    const summary = await checkReceipts();
+    assert.deepStrictEqual(summary, { checked: 5, delivered: 1, failed: 2, unknown: 1, prunedTokens: 2 });
+
+    // Delivered to one of two phones still counts as delivered
+    assert.strictEqual(await deliveryStatus(notifications.twoPhones), 'delivered');
+    assert.strictEqual(await deliveryStatus(notifications.uninstalled), 'failed');
+    assert.strictEqual(await deliveryStatus(notifications.noReceipt), 'unknown');
+    assert.strictEqual(await deliveryStatus(notifications.pending), 'sent');
+
+    assert.deepStrictEqual(await registeredTokens(), [token('no-receipt'), token('pending'), token('phone')].sort());
+});
+
+test('tickets already resolved are not checked again', async () => {
+    const summary = await checkReceipts();
+    assert.deepStrictEqual(summary, { checked: 1, delivered: 0, failed: 0, unknown: 0, prunedTokens: 0 });
+
+    const rows = await server.executeQuery(`
+        SELECT push_token, status, error FROM push_tickets ORDER BY push_token
+    `);
+    assert.deepStrictEqual(rows.map(row => row.map(column => column.value)), [
+        [token('no-receipt'), 'unknown', null],
+        [token('old-phone'), 'failed', 'DeviceNotRegistered'],
+        [token('pending'), 'sent', null],
+        [token('phone'), 'delivered', null],
+        [token('rejected'), 'failed', 'DeviceNotRegistered'],
+        [token('uninstalled'), 'failed', 'DeviceNotRegistered']
+    ]);
+});
+
+test('tickets still waiting for a receipt do not hold back newer ones', async () => {
+    const [twoPhones] = users;
+    for (let i = 0; i < 5; i++) {
+        await notify(twoPhones);
+    }
+
+    // The batch holds five tickets: the five new ones, not the one still pending
+    const summary = await checkReceipts();
+    assert.deepStrictEqual(summary, { checked: 5, delivered: 5, failed: 0, unknown: 0, prunedTokens: 0 });
+});
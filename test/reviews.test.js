@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, authHeaders, createUsers } = require('./helpers');
+
+let app;
+let farmer;
+let agronomist;
+
+before(async () => {
+    app = await startServer();
+    [farmer, agronomist] = await createUsers([1, 3]);
+
+    // Each scan ranks the diseases differently, so mixed-up predictions would show
+    for (let i = 0; i < 3; i++) {
+        const response = await fetch(`${app.baseUrl}/save`, {
+            method: 'POST',
+            headers: authHeaders(farmer),
+            body: JSON.stringify({
+                user_profile_id: farmer,
+                disease_prediction: i,
+                disease_prediction_score: 0.9,
+                scan_image: `leaf${i}.jpg`,
+                predictions: [{ class: i, probability: 0.9 }, { class: i + 1, probability: 0.1 }],
+                flag_for_review: true
+            })
+        });
+        assert.strictEqual(response.status, 201);
+    }
+});
+
+after(() => app.close());
+
+test('the review queue lists each scan with its own predictions', async () => {
+    const response = await fetch(`${app.baseUrl}/api/reviews`, { headers: authHeaders(agronomist, 3) });
+    assert.strictEqual(response.status, 200);
+    const { data } = await response.json();
+
+    assert.strictEqual(data.length, 3);
+    data.forEach(review => {
+        assert.deepStrictEqual(review.scan.predictions.map(prediction => prediction.diseaseId),
+            [review.scan.diseaseId, review.scan.diseaseId + 1]);
+    });
+
+    const single = await fetch(`${app.baseUrl}/api/reviews/${data[1].id}`, { headers: authHeaders(agronomist, 3) });
+    assert.deepStrictEqual((await single.json()).data.scan.predictions, data[1].scan.predictions);
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, authHeaders, createUsers } = require('./helpers');
+
+let app;
+let userId;
+let otherUserId;
+let headers;
+
+before(async () => {
+    app = await startServer();
+    [userId, otherUserId] = await createUsers([1, 1]);
+    headers = authHeaders(userId);
+
+    // Saved back to back, so most scans share the same created_at second
+    for (let i = 0; i < 7; i++) {
+        const response = await fetch(`${app.baseUrl}/save`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                user_profile_id: userId,
+                disease_prediction: i % 2,
+                disease_prediction_score: 0.7 + i / 100,
+                scan_image: `scan${i}.jpg`
+            })
+        });
+        assert.strictEqual(response.status, 201);
+    }
+});
+
+after(() => app.close());
+
+// Follow X-Next-Cursor until it runs out; resolves to the ids of every page
+async function readAllPages(query) {
+    const pages = [];
+    let cursor = null;
+    do {
+        const url = `${app.baseUrl}/api/scan-history/${userId}?limit=3&${query}` +
+            (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '');
+        const response = await fetch(url, { headers });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('x-total-count'), '7');
+
+        pages.push((await response.json()).map(item => item.id));
+        cursor = response.headers.get('x-next-cursor');
+        assert.ok(pages.length <= 3, 'cursor did not stop after the last page');
+    } while (cursor);
+    return pages;
+}
+
+test('date cursor visits every scan once, newest first', async () => {
+    const pages = await readAllPages('sort=date_desc');
+    assert.deepStrictEqual(pages, [[7, 6, 5], [4, 3, 2], [1]]);
+});
+
+test('date cursor visits every scan once, oldest first', async () => {
+    const pages = await readAllPages('sort=date_asc');
+    assert.deepStrictEqual(pages, [[1, 2, 3], [4, 5, 6], [7]]);
+});
+
+test('confidence cursor visits every scan once', async () => {
+    const pages = await readAllPages('sort=confidence_desc');
+    assert.deepStrictEqual(pages, [[7, 6, 5], [4, 3, 2], [1]]);
+});
+
+test('cursor from another sort is rejected', async () => {
+    const first = await fetch(`${app.baseUrl}/api/scan-history/${userId}?limit=3&sort=date_desc`, { headers });
+    const cursor = first.headers.get('x-next-cursor');
+
+    const response = await fetch(`${app.baseUrl}/api/scan-history/${userId}?limit=3&sort=confidence_desc` +
+        `&cursor=${encodeURIComponent(cursor)}`, { headers });
+    assert.strictEqual(response.status, 400);
+});
+
+test('history of another user is forbidden', async () => {
+    const response = await fetch(`${app.baseUrl}/api/scan-history/${userId}`, { headers: authHeaders(otherUserId) });
+    assert.strictEqual(response.status, 403);
+});
+
+test('without limit or cursor the whole history is returned, as older apps expect', async () => {
+    const otherHeaders = authHeaders(otherUserId);
+    for (let i = 0; i < 25; i++) {
+        const response = await fetch(`${app.baseUrl}/save`, {
+            method: 'POST',
+            headers: otherHeaders,
+            body: JSON.stringify({
+                user_profile_id: otherUserId,
+                disease_prediction: 1,
+                disease_prediction_score: 0.9,
+                scan_image: `other${i}.jpg`
+            })
+        });
+        assert.strictEqual(response.status, 201);
+    }
+
+    const response = await fetch(`${app.baseUrl}/api/scan-history/${otherUserId}`, { headers: otherHeaders });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).length, 25);
+    assert.strictEqual(response.headers.get('x-total-count'), '25');
+    assert.strictEqual(response.headers.get('x-next-cursor'), null);
+});